@@ -0,0 +1,266 @@
+'use strict';
+
+const {
+  ArrayIsArray,
+  ArrayPush,
+  ObjectKeys,
+  RangeError,
+  StringCharCodeAt,
+  StringEndsWith,
+  StringIndexOf,
+  StringSlice,
+  StringStartsWith,
+  TypeError,
+  TypedArrayLength,
+  Uint8ArrayOf
+} = require('@dwlib/primordials');
+const IsObject = require('@dwlib/abstract/IsObject');
+const IsString = require('@dwlib/abstract/IsString');
+const ToString = require('@dwlib/abstract/ToString');
+const {
+  BASIC
+} = require('./index.js');
+const {
+  IsByteSource,
+  ToUint8Array
+} = require('./byte-source.js');
+
+const CRC24_INIT = 0xb704ce;
+const CRC24_POLY = 0x1864cfb;
+
+const LINE_LENGTH = 64;
+const LINE_SEPARATOR = '\n';
+
+const BEGIN_PREFIX = '-----BEGIN PGP ';
+const END_PREFIX = '-----END PGP ';
+const DASHES = '-----';
+
+const CLEARTEXT_TYPE = 'SIGNED MESSAGE';
+const DEFAULT_TYPE = 'MESSAGE';
+
+const RequireBuffer = argument => {
+  if (!IsByteSource(argument)) {
+    throw new TypeError('`bytes` is not an instance of ArrayBuffer or ArrayBufferView');
+  }
+}
+
+const IsArmorText = string => {
+  for (let i = 0; i < string.length; i++) {
+    const charCode = StringCharCodeAt(string, i);
+    if (charCode < 0x20 || charCode > 0x7e) {
+      return false;
+    }
+  }
+  return true;
+}
+
+const Crc24 = bytes => {
+  const length = TypedArrayLength(bytes);
+  let crc = CRC24_INIT;
+  for (let i = 0; i < length; i++) {
+    crc ^= bytes[i] << 16;
+    for (let j = 0; j < 8; j++) {
+      crc <<= 1;
+      if (crc & 0x1000000) {
+        crc ^= CRC24_POLY;
+      }
+    }
+  }
+  return crc & 0xffffff;
+}
+
+const EncodeChecksum = crc => '=' + BASIC.encodeBytesToString(Uint8ArrayOf(crc >> 16, (crc >> 8) & 0xff, crc & 0xff));
+
+const GetArmorType = options => {
+  if (options === undefined) {
+    return DEFAULT_TYPE;
+  }
+  const type = options.type;
+  if (type === undefined) {
+    return DEFAULT_TYPE;
+  }
+  if (!IsString(type)) {
+    throw new TypeError('`options.type` is not a string');
+  }
+  if (!type || !IsArmorText(type) || StringIndexOf(type, '-') !== -1) {
+    throw new RangeError('Invalid armor type');
+  }
+  return type;
+}
+
+const FormatHeader = (key, value) => {
+  if (!IsString(value)) {
+    throw new TypeError('Armor header value is not a string');
+  }
+  if (!IsArmorText(value)) {
+    throw new RangeError('Invalid armor header');
+  }
+  return key + ': ' + value + LINE_SEPARATOR;
+}
+
+const FormatHeaders = options => {
+  if (options === undefined) {
+    return '';
+  }
+  const headers = options.headers;
+  if (headers === undefined) {
+    return '';
+  }
+  if (!IsObject(headers)) {
+    throw new TypeError('`options.headers` is not an object');
+  }
+  const keys = ObjectKeys(headers);
+  let result = '';
+  for (let i = 0; i < keys.length; i++) {
+    const key = keys[i];
+    if (!key || !IsArmorText(key) || StringIndexOf(key, ':') !== -1) {
+      throw new RangeError('Invalid armor header');
+    }
+    const value = headers[key];
+    if (ArrayIsArray(value)) {
+      for (let j = 0; j < value.length; j++) {
+        result += FormatHeader(key, value[j]);
+      }
+    } else {
+      result += FormatHeader(key, value);
+    }
+  }
+  return result;
+}
+
+const armor = (bytes, options = undefined) => {
+  RequireBuffer(bytes);
+  if (options !== undefined && !IsObject(options)) {
+    throw new TypeError('`options` is not an object');
+  }
+  const source = ToUint8Array(bytes);
+  const type = GetArmorType(options);
+  const headers = FormatHeaders(options);
+  const body = BASIC.encodeBytesToString(source, {
+    withPadding: true,
+    lineLength: LINE_LENGTH,
+    lineSeparator: LINE_SEPARATOR
+  });
+  let result = BEGIN_PREFIX + type + DASHES + LINE_SEPARATOR + headers + LINE_SEPARATOR;
+  if (body) {
+    result += body + LINE_SEPARATOR;
+  }
+  result += EncodeChecksum(Crc24(source)) + LINE_SEPARATOR;
+  result += END_PREFIX + type + DASHES + LINE_SEPARATOR;
+  return result;
+}
+exports.armor = armor;
+
+const TrimLineEnd = line => {
+  let end = line.length;
+  while (end) {
+    const charCode = StringCharCodeAt(line, end - 1);
+    if (charCode !== 0x20 && charCode !== 0x09 && charCode !== 0x0d) {
+      break;
+    }
+    end--;
+  }
+  return end !== line.length ? StringSlice(line, 0, end) : line;
+}
+
+const SplitLines = text => {
+  const lines = [];
+  let start = 0;
+  for (let i = 0; i < text.length; i++) {
+    if (StringCharCodeAt(text, i) === 0x0a) {
+      ArrayPush(lines, TrimLineEnd(StringSlice(text, start, i)));
+      start = i + 1;
+    }
+  }
+  ArrayPush(lines, TrimLineEnd(StringSlice(text, start)));
+  return lines;
+}
+
+const GetBoundaryType = (line, prefix) => {
+  if (line.length > prefix.length + DASHES.length && StringStartsWith(line, prefix) && StringEndsWith(line, DASHES)) {
+    return StringSlice(line, prefix.length, line.length - DASHES.length);
+  }
+  return undefined;
+}
+
+const AddHeader = (headers, key, value) => {
+  const current = headers[key];
+  if (current === undefined) {
+    headers[key] = value;
+  } else if (ArrayIsArray(current)) {
+    ArrayPush(current, value);
+  } else {
+    headers[key] = [current, value];
+  }
+}
+
+const ParseBlock = (lines, start, type) => {
+  const length = lines.length;
+  const headers = {};
+  let position = start;
+  for (; position < length; position++) {
+    const line = lines[position];
+    if (!line) {
+      break;
+    }
+    const index = StringIndexOf(line, ': ');
+    if (index < 1) {
+      throw new RangeError('Invalid armor header');
+    }
+    AddHeader(headers, StringSlice(line, 0, index), StringSlice(line, index + 2));
+  }
+  let body = '';
+  let checksum;
+  for (position++; position < length; position++) {
+    const line = lines[position];
+    const endType = GetBoundaryType(line, END_PREFIX);
+    if (endType !== undefined) {
+      if (endType !== type) {
+        throw new RangeError('Mismatched armor end line');
+      }
+      const bytes = BASIC.decodeToBytes(body, {
+        padding: 'optional'
+      });
+      if (checksum !== undefined && checksum !== EncodeChecksum(Crc24(bytes))) {
+        throw new RangeError('Invalid armor checksum');
+      }
+      return {
+        position,
+        block: {
+          type,
+          headers,
+          bytes
+        }
+      };
+    }
+    if (!line) {
+      continue;
+    }
+    if (checksum !== undefined) {
+      throw new RangeError('Invalid armor');
+    }
+    if (line.length === 5 && StringCharCodeAt(line, 0) === 0x3d) {
+      checksum = line;
+    } else {
+      body += line;
+    }
+  }
+  throw new RangeError('Missing armor end line');
+}
+
+const dearmor = text => {
+  const lines = SplitLines(ToString(text));
+  const length = lines.length;
+  const result = [];
+  for (let position = 0; position < length; position++) {
+    const type = GetBoundaryType(lines[position], BEGIN_PREFIX);
+    if (type === undefined || type === CLEARTEXT_TYPE) {
+      continue;
+    }
+    const parsed = ParseBlock(lines, position + 1, type);
+    ArrayPush(result, parsed.block);
+    position = parsed.position;
+  }
+  return result;
+}
+exports.dearmor = dearmor;
@@ -0,0 +1,47 @@
+'use strict';
+
+const {
+  ArrayBufferIsView,
+  DataViewBuffer,
+  DataViewByteLength,
+  DataViewByteOffset,
+  SharedArrayBufferByteLength,
+  TypedArrayBuffer,
+  TypedArrayByteLength,
+  TypedArrayByteOffset,
+  TypedArraySymbolToStringTag,
+  Uint8Array
+} = require('@dwlib/primordials');
+const IsBuffer = require('@dwlib/abstract/IsBuffer');
+const IsObject = require('@dwlib/abstract/IsObject');
+const IsUint8Array = require('@dwlib/abstract/IsUint8Array');
+
+const IsSharedArrayBuffer = argument => {
+  if (SharedArrayBufferByteLength === undefined || !IsObject(argument)) {
+    return false;
+  }
+  try {
+    SharedArrayBufferByteLength(argument);
+  } catch (e) {
+    return false;
+  }
+  return true;
+}
+exports.IsSharedArrayBuffer = IsSharedArrayBuffer;
+
+const IsByteSource = argument => IsBuffer(argument) || ArrayBufferIsView(argument) || IsSharedArrayBuffer(argument);
+exports.IsByteSource = IsByteSource;
+
+const ToUint8Array = buffer => {
+  if (IsUint8Array(buffer)) {
+    return buffer;
+  }
+  if (!ArrayBufferIsView(buffer)) {
+    return new Uint8Array(buffer);
+  }
+  if (TypedArraySymbolToStringTag(buffer) === undefined) {
+    return new Uint8Array(DataViewBuffer(buffer), DataViewByteOffset(buffer), DataViewByteLength(buffer));
+  }
+  return new Uint8Array(TypedArrayBuffer(buffer), TypedArrayByteOffset(buffer), TypedArrayByteLength(buffer));
+}
+exports.ToUint8Array = ToUint8Array;
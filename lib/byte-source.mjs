@@ -0,0 +1,42 @@
+import {
+  ArrayBufferIsView,
+  DataViewBuffer,
+  DataViewByteLength,
+  DataViewByteOffset,
+  SharedArrayBufferByteLength,
+  TypedArrayBuffer,
+  TypedArrayByteLength,
+  TypedArrayByteOffset,
+  TypedArraySymbolToStringTag,
+  Uint8Array
+} from '@dwlib/primordials';
+import IsBuffer from '@dwlib/abstract/IsBuffer';
+import IsObject from '@dwlib/abstract/IsObject';
+import IsUint8Array from '@dwlib/abstract/IsUint8Array';
+
+export const IsSharedArrayBuffer = argument => {
+  if (SharedArrayBufferByteLength === undefined || !IsObject(argument)) {
+    return false;
+  }
+  try {
+    SharedArrayBufferByteLength(argument);
+  } catch (e) {
+    return false;
+  }
+  return true;
+}
+
+export const IsByteSource = argument => IsBuffer(argument) || ArrayBufferIsView(argument) || IsSharedArrayBuffer(argument);
+
+export const ToUint8Array = buffer => {
+  if (IsUint8Array(buffer)) {
+    return buffer;
+  }
+  if (!ArrayBufferIsView(buffer)) {
+    return new Uint8Array(buffer);
+  }
+  if (TypedArraySymbolToStringTag(buffer) === undefined) {
+    return new Uint8Array(DataViewBuffer(buffer), DataViewByteOffset(buffer), DataViewByteLength(buffer));
+  }
+  return new Uint8Array(TypedArrayBuffer(buffer), TypedArrayByteOffset(buffer), TypedArrayByteLength(buffer));
+}
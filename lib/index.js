@@ -1,28 +1,41 @@
 'use strict';
 
 const {
+  ArrayBufferSlice,
   BigInt,
+  Error,
   Map,
   MapGet,
   MapHas,
   MapSet,
+  MapForEach,
   MathCeil,
   MathFloor,
+  MathMin,
+  ArrayJoin,
+  ArrayPush,
+  ArraySlice,
+  ObjectAssign,
   ObjectDefineProperties,
+  ObjectKeys,
   RangeError,
   ReflectDefineProperty,
   StringFromCharCode,
   StringCharCodeAt,
+  StringSlice,
   Symbol,
   SymbolHasInstance,
+  SymbolIterator,
   SymbolToStringTag,
   TypeError,
+  TypedArrayBuffer,
   TypedArrayLength,
+  TypedArraySet,
   TypedArraySlice,
+  TypedArraySubarray,
   Uint8Array,
   Uint8ArrayOf
 } = require('@dwlib/primordials');
-const IsBuffer = require('@dwlib/abstract/IsBuffer');
 const IsUint8Array = require('@dwlib/abstract/IsUint8Array');
 const IsString = require('@dwlib/abstract/IsString');
 const ToString = require('@dwlib/abstract/ToString');
@@ -38,6 +51,10 @@ const {
   encode: UTF8Encode,
   decode: UTF8Decode
 } = require('@dwlib/utf8');
+const {
+  IsByteSource,
+  ToUint8Array
+} = require('./byte-source.js');
 
 const FACTOR = 4 / 3;
 const INVERSE_FACTOR = 3 / 4;
@@ -45,6 +62,16 @@ const INVERSE_FACTOR = 3 / 4;
 const DEFAULT_PADDING = '=';
 const DEFAULT_PADDING_CHAR_CODE = 0x3d;
 
+const DEFAULT_LINE_SEPARATOR = '\r\n';
+
+const DEFAULT_OUTPUT = 'uint8array';
+
+const HEX_DIGITS = '0123456789abcdef';
+
+const READER_BUFFER_SIZE = 768;
+const TRANSCODE_CHUNK_SIZE = 8192;
+const BLOB_CHUNK_SIZE = 0x30000;
+
 const ENCODING_SHIFTS = Uint8ArrayOf(2, 4, 6);
 const ENCODING_MASKS = Uint8ArrayOf(3, 0xf, 0x3f);
 const ENCODING_DIGITS = Uint8ArrayOf(4, 2, 0);
@@ -53,14 +80,21 @@ const DECODING_SHIFTS = Uint8ArrayOf(2, 4, 6, 0);
 const DECODING_MASKS = Uint8ArrayOf(0, 0xf, 3, 0);
 const DECODING_DIGITS = Uint8ArrayOf(0, 4, 2, 0);
 
-const PADDING = Symbol();
-
 const $Alphabet = Symbol('[[Alphabet]]');
 const $AlphabetLookup = Symbol('[[AlphabetLookup]]');
 const $BaseMap = Symbol('[[BaseMap]]');
 const $BaseMapLookup = Symbol('[[BaseMapLookup]]');
 const $Padding = Symbol('[[Padding]]');
 const $PaddingCharCode = Symbol('[[PaddingCharCode]]');
+const $MaxInputLength = Symbol('[[MaxInputLength]]');
+const $MaxDecodedLength = Symbol('[[MaxDecodedLength]]');
+const $Output = Symbol('[[Output]]');
+const $Encoding = Symbol('[[Encoding]]');
+const $EncoderState = Symbol('[[EncoderState]]');
+const $DecoderState = Symbol('[[DecoderState]]');
+const $Encoder = Symbol('[[Encoder]]');
+const $Decoder = Symbol('[[Decoder]]');
+const $Transform = Symbol('[[Transform]]');
 
 const IsBase64Encoding = argument => IsObject(argument) && HasSlot(argument, $Alphabet);
 
@@ -70,26 +104,146 @@ const RequireThis = argument => {
   }
 }
 
+const IsBase64Encoder = argument => IsObject(argument) && HasSlot(argument, $EncoderState);
+
+const IsBase64Decoder = argument => IsObject(argument) && HasSlot(argument, $DecoderState);
+
+const RequireEncoding = argument => {
+  if (!IsBase64Encoding(argument)) {
+    throw new TypeError('`encoding` is not an instance of Base64Encoding');
+  }
+}
+
+const RequireFromEncoding = argument => {
+  if (!IsBase64Encoding(argument)) {
+    throw new TypeError('`fromEncoding` is not an instance of Base64Encoding');
+  }
+}
+
+const RequireToEncoding = argument => {
+  if (!IsBase64Encoding(argument)) {
+    throw new TypeError('`toEncoding` is not an instance of Base64Encoding');
+  }
+}
+
+const RequireCandidate = argument => {
+  if (!IsBase64Encoding(argument)) {
+    throw new TypeError('`candidate` is not an instance of Base64Encoding');
+  }
+}
+
+const RequireCandidates = argument => {
+  if (!IsObject(argument) || typeof argument[SymbolIterator] !== 'function') {
+    throw new TypeError('`options.candidates` is not iterable');
+  }
+}
+
+const RequireThisEncoder = argument => {
+  if (!IsBase64Encoder(argument)) {
+    throw new TypeError('`this` is not an instance of Base64Encoder');
+  }
+}
+
+const RequireThisDecoder = argument => {
+  if (!IsBase64Decoder(argument)) {
+    throw new TypeError('`this` is not an instance of Base64Decoder');
+  }
+}
+
+const IsBase64EncoderStream = argument => IsObject(argument) && HasSlot(argument, $Encoder);
+
+const IsBase64DecoderStream = argument => IsObject(argument) && HasSlot(argument, $Decoder);
+
+const RequireThisEncoderStream = argument => {
+  if (!IsBase64EncoderStream(argument)) {
+    throw new TypeError('`this` is not an instance of Base64EncoderStream');
+  }
+}
+
+const RequireThisDecoderStream = argument => {
+  if (!IsBase64DecoderStream(argument)) {
+    throw new TypeError('`this` is not an instance of Base64DecoderStream');
+  }
+}
+
 const RequireBuffer = argument => {
-  if (!IsBuffer(argument)) {
+  if (!IsByteSource(argument)) {
     throw new TypeError('`buffer` is not an instance of ArrayBuffer or ArrayBufferView');
   }
 }
 
+const RequireTarget = argument => {
+  if (!IsUint8Array(argument)) {
+    throw new TypeError('`target` is not an instance of Uint8Array');
+  }
+}
+
+const IsBlob = argument => typeof Blob === 'function' && argument instanceof Blob;
+
+const RequireBlob = argument => {
+  if (!IsBlob(argument)) {
+    throw new TypeError('`blob` is not an instance of Blob');
+  }
+}
+
 const RequireOptionsObject = argument => {
   if (!IsObject(argument)) {
     throw new TypeError('`options` is not an object');
   }
 }
 
-const GetEncodingBytes = (length, index) => {
-  const remaining = length - index;
-  return remaining < 3 ? remaining : 3;
+const GetOutputType = output => {
+  if (!IsString(output)) {
+    throw new TypeError('`options.output` is not a string');
+  }
+  if (output !== 'uint8array' && output !== 'buffer' && output !== 'arraybuffer') {
+    throw new RangeError('Invalid output type');
+  }
+  if (output === 'buffer' && typeof Buffer !== 'function') {
+    throw new TypeError('Buffer is not supported');
+  }
+  return output;
+}
+
+const GetOutput = (target, options) => {
+  if (options !== undefined) {
+    RequireOptionsObject(options);
+    const output = options.output;
+    if (output !== undefined) {
+      return GetOutputType(output);
+    }
+  }
+  return GetSlot(target, $Output);
+}
+
+const AllocateBytes = (length, output) => output === 'buffer' ? Buffer.alloc(length) : new Uint8Array(length);
+
+const ToOutput = (result, length, output) => {
+  const capacity = TypedArrayLength(result);
+  if (output === 'arraybuffer') {
+    const buffer = TypedArrayBuffer(result);
+    return capacity !== length ? ArrayBufferSlice(buffer, 0, length) : buffer;
+  }
+  if (capacity === length) {
+    return result;
+  }
+  return output === 'buffer' ? TypedArraySubarray(result, 0, length) : TypedArraySlice(result, 0, length);
+}
+
+const GetTargetOffset = (target, offset) => {
+  if (offset === undefined) {
+    return 0;
+  }
+  const $offset = ToIntegerOrInfinity(offset);
+  if ($offset < 0 || $offset > TypedArrayLength(target)) {
+    throw new RangeError('`offset` out of range');
+  }
+  return $offset;
 }
 
-const GetDecodingBytes = (length, index) => {
+const GetEncodingBytes = (length, index) => {
   const remaining = length - index;
-  return remaining < 4 ? remaining : 4;
+  return remaining < 3 ? remaining : 3;
 }
 
 const GetPaddedLength = length => {
@@ -97,19 +251,84 @@ const GetPaddedLength = length => {
   return remainder ? length + (4 - remainder) : length;
 }
 
+const GetPaddingLength = length => {
+  const remainder = length % 3;
+  return remainder ? 3 - remainder : 0;
+}
+
 const GetCapacity = (length, withPadding) => {
   const capacity = MathCeil(length * FACTOR);
   return withPadding ? GetPaddedLength(capacity) : capacity;
 }
 
+const GetEncodedLength = (length, withPadding) => {
+  const remainder = length % 3;
+  const encodedLength = (length - remainder) / 3 * 4;
+  if (!remainder) {
+    return encodedLength;
+  }
+  return encodedLength + (withPadding ? 4 : remainder + 1);
+}
+
+const GetSeparatorCount = (length, line) => {
+  const lineLength = line.lineLength;
+  return length && lineLength !== Infinity ? MathFloor((line.column + length - 1) / lineLength) : 0;
+}
+
+const CreateLineState = (lineLength, lineSeparator) => ({
+  lineLength,
+  lineSeparator,
+  column: 0
+});
+
+const GetLineState = (target, options) => {
+  let lineLength = Infinity;
+  let lineSeparator = DEFAULT_LINE_SEPARATOR;
+  if (options !== undefined) {
+    const $lineLength = options.lineLength;
+    if ($lineLength !== undefined) {
+      lineLength = ToIntegerOrInfinity($lineLength);
+      if (lineLength < 1) {
+        throw new RangeError('Line length out of range');
+      }
+    }
+    const $lineSeparator = options.lineSeparator;
+    if ($lineSeparator !== undefined) {
+      lineSeparator = $lineSeparator;
+      if (!IsString(lineSeparator)) {
+        throw new TypeError('`options.lineSeparator` is not a string');
+      }
+      const alphabetLookup = GetSlot(target, $AlphabetLookup);
+      const padding = GetSlot(target, $Padding);
+      for (let i = 0; i < lineSeparator.length; i++) {
+        const char = lineSeparator[i];
+        if (StringCharCodeAt(lineSeparator, i) > 0x7f || MapHas(alphabetLookup, char) || char === padding) {
+          throw new RangeError('Invalid line separator');
+        }
+      }
+    }
+  }
+  return CreateLineState(lineLength, lineSeparator);
+}
+
+const WriteLineSeparator = (result, index, lineSeparator) => {
+  for (let i = 0; i < lineSeparator.length; i++) {
+    result[index++] = StringCharCodeAt(lineSeparator, i);
+  }
+  return index;
+}
+
 const GetInverseCapacity = length => MathCeil(length * INVERSE_FACTOR);
 
-const Encode = (target, string, withPadding) => {
+const Encode = (target, string, withPadding, line) => {
   const length = string.length;
   if (!length) {
     return '';
   }
   const alphabet = GetSlot(target, $Alphabet);
+  const lineLength = line.lineLength;
+  const lineSeparator = line.lineSeparator;
+  let column = line.column;
   let result = '';
   let position = 0;
   for (let i = 0; i < length; i += 3) {
@@ -121,31 +340,51 @@ const Encode = (target, string, withPadding) => {
         throw new RangeError('Invalid ASCII encoding');
       }
       const charIndex = carry + (charCode >> ENCODING_SHIFTS[j]);
+      if (column === lineLength) {
+        result += lineSeparator;
+        column = 0;
+      }
       result += alphabet[charIndex];
+      column++;
       carry = (charCode & ENCODING_MASKS[j]) << ENCODING_DIGITS[j];
     }
+    if (column === lineLength) {
+      result += lineSeparator;
+      column = 0;
+    }
     result += alphabet[carry];
+    column++;
   }
   if (withPadding) {
-    const paddedLength = GetPaddedLength(result.length);
-    if (result.length < paddedLength) {
+    const paddingLength = GetPaddingLength(length);
+    if (paddingLength) {
       const padding = GetSlot(target, $Padding) || '\0';
-      while (result.length < paddedLength) {
+      for (let i = 0; i < paddingLength; i++) {
+        if (column === lineLength) {
+          result += lineSeparator;
+          column = 0;
+        }
         result += padding;
+        column++;
       }
     }
   }
+  line.column = column;
   return result;
 }
 
-const EncodeToBytes = (target, string, withPadding) => {
+const EncodeToBytes = (target, string, withPadding, line, output) => {
   const length = string.length;
   if (!length) {
-    return new Uint8Array(0);
+    return ToOutput(AllocateBytes(0, output), 0, output);
   }
   const baseMap = GetSlot(target, $BaseMap);
-  const capacity = GetCapacity(length, withPadding);
-  const result = new Uint8Array(capacity);
+  const lineLength = line.lineLength;
+  const lineSeparator = line.lineSeparator;
+  const encodedLength = GetCapacity(length, withPadding);
+  const capacity = encodedLength + GetSeparatorCount(encodedLength, line) * lineSeparator.length;
+  const result = AllocateBytes(capacity, output);
+  let column = line.column;
   let index = 0;
   let position = 0;
   for (let i = 0; i < length; i += 3) {
@@ -157,354 +396,1382 @@ const EncodeToBytes = (target, string, withPadding) => {
         throw new RangeError('Invalid ASCII encoding');
       }
       const charIndex = carry + (charCode >> ENCODING_SHIFTS[j]);
+      if (column === lineLength) {
+        index = WriteLineSeparator(result, index, lineSeparator);
+        column = 0;
+      }
       result[index++] = MapGet(baseMap, charIndex);
+      column++;
       carry = (charCode & ENCODING_MASKS[j]) << ENCODING_DIGITS[j];
     }
+    if (column === lineLength) {
+      index = WriteLineSeparator(result, index, lineSeparator);
+      column = 0;
+    }
     result[index++] = MapGet(baseMap, carry);
+    column++;
   }
-  if (withPadding && index < capacity) {
-    const paddingCharCode = GetSlot(target, $PaddingCharCode);
-    if (paddingCharCode) {
-      while (index < capacity) {
-        result[index++] = paddingCharCode;
+  if (withPadding) {
+    const paddingCharCode = GetSlot(target, $PaddingCharCode) || 0;
+    while (index < capacity) {
+      if (column === lineLength) {
+        index = WriteLineSeparator(result, index, lineSeparator);
+        column = 0;
       }
+      result[index++] = paddingCharCode;
+      column++;
     }
   }
-  return result;
+  line.column = column;
+  return ToOutput(result, capacity, output);
 }
 
-const Decode = (target, encodedString, ignorePadding, allowConcatenation) => {
-  const length = encodedString.length;
-  if (!length) {
-    return '';
+const IsWhitespace = charCode => (
+  charCode === 0x20 ||
+  charCode === 0x09 ||
+  charCode === 0x0a ||
+  charCode === 0x0c ||
+  charCode === 0x0d
+);
+
+const CreateDecoderState = (
+  ignorePadding,
+  allowConcatenation,
+  ignoreWhitespace,
+  strict,
+  paddingMode,
+  onInvalid,
+  onSkip,
+  maxInputLength,
+  maxDecodedLength
+) => ({
+  ignorePadding,
+  allowConcatenation,
+  ignoreWhitespace,
+  strict,
+  paddingMode,
+  onInvalid,
+  onSkip,
+  maxInputLength,
+  maxDecodedLength,
+  carry: 0,
+  count: 0,
+  paddingRemaining: 0,
+  closed: false,
+  done: false,
+  padded: false,
+  offset: 0,
+  decodedLength: 0,
+  lastIndex: 0,
+  lastCharCode: 0,
+  error: undefined
+});
+
+const GetMaxLength = maxLength => {
+  const $maxLength = ToIntegerOrInfinity(maxLength);
+  if ($maxLength < 0) {
+    throw new RangeError('Max length out of range');
   }
-  const baseMapLookup = GetSlot(target, $BaseMapLookup);
-  const padding = GetSlot(target, $Padding) || '\0';
-  const paddingCharCode = GetSlot(target, $PaddingCharCode) || 0;
-  let result = '';
-  let position = 0;
-  for (let i = 0; i < length; i += 4) {
-    try {
-      const bytes = GetDecodingBytes(length, position);
-      let carry = 0;
-      for (let j = 0; j < bytes; j++) {
-        const charCode = StringCharCodeAt(encodedString, position++);
-        const charIndex = MapGet(baseMapLookup, charCode);
-        if (charIndex === undefined) {
-          if (charCode === paddingCharCode && !ignorePadding) {
-            throw PADDING;
-          }
-          throw new RangeError('Invalid Base64 encoding');
-        }
-        const mask = DECODING_MASKS[j];
-        const shift = DECODING_SHIFTS[j];
-        if (mask) {
-          const charCode = carry + (charIndex >> DECODING_DIGITS[j]);
-          result += StringFromCharCode(charCode);
-          carry = (charIndex & mask) << shift;
-        } else {
-          carry += charIndex << shift;
-        }
+  return $maxLength;
+}
+
+const GetDecoderState = (target, options) => {
+  let ignorePadding = !GetSlot(target, $Padding);
+  let allowConcatenation = false;
+  let ignoreWhitespace = false;
+  let strict = false;
+  let paddingMode;
+  let onInvalid = 'throw';
+  let onSkip;
+  let maxInputLength = GetSlot(target, $MaxInputLength);
+  let maxDecodedLength = GetSlot(target, $MaxDecodedLength);
+  if (options !== undefined) {
+    RequireOptionsObject(options);
+    const $ignorePadding = options.ignorePadding;
+    if ($ignorePadding !== undefined) {
+      ignorePadding = !!$ignorePadding;
+    }
+    allowConcatenation = !!options.allowConcatenation;
+    ignoreWhitespace = !!options.ignoreWhitespace;
+    strict = !!options.strict;
+    const $padding = options.padding;
+    if ($padding !== undefined) {
+      paddingMode = $padding;
+      if (!IsString(paddingMode)) {
+        throw new TypeError('`options.padding` is not a string');
       }
-      result += StringFromCharCode(carry);
-    } catch (e) {
-      if (e === PADDING) {
-        if (allowConcatenation) {
-          while (position < length && encodedString[position] === padding) {
-            position++;
-          }
-          i = position;
-          continue;
-        }
-        break;
+      if (paddingMode !== 'required' && paddingMode !== 'optional' && paddingMode !== 'forbidden') {
+        throw new RangeError('Invalid padding mode');
+      }
+      ignorePadding = paddingMode === 'forbidden';
+    }
+    const $onInvalid = options.onInvalid;
+    if ($onInvalid !== undefined) {
+      onInvalid = $onInvalid;
+      if (!IsString(onInvalid)) {
+        throw new TypeError('`options.onInvalid` is not a string');
+      }
+      if (onInvalid !== 'throw' && onInvalid !== 'skip' && onInvalid !== 'stop') {
+        throw new RangeError('Invalid onInvalid mode');
       }
-      throw e;
+    }
+    onSkip = options.onSkip;
+    if (onSkip !== undefined && typeof onSkip !== 'function') {
+      throw new TypeError('`options.onSkip` is not a function');
+    }
+    const $maxInputLength = options.maxInputLength;
+    if ($maxInputLength !== undefined) {
+      maxInputLength = GetMaxLength($maxInputLength);
+    }
+    const $maxDecodedLength = options.maxDecodedLength;
+    if ($maxDecodedLength !== undefined) {
+      maxDecodedLength = GetMaxLength($maxDecodedLength);
     }
   }
-  return result;
+  return CreateDecoderState(
+    ignorePadding,
+    allowConcatenation,
+    ignoreWhitespace,
+    strict,
+    paddingMode,
+    onInvalid,
+    onSkip,
+    maxInputLength,
+    maxDecodedLength
+  );
 }
 
-const DecodeToBytes = (target, encodedString, ignorePadding, allowConcatenation) => {
-  const length = encodedString.length;
-  if (!length) {
-    return new Uint8Array(0);
+const ResetDecoderState = state => {
+  state.carry = 0;
+  state.count = 0;
+  state.paddingRemaining = 0;
+  state.closed = false;
+  state.done = false;
+  state.padded = false;
+  state.offset = 0;
+  state.decodedLength = 0;
+  state.lastIndex = 0;
+  state.lastCharCode = 0;
+}
+
+const IsCanonicalGroupEnd = (count, carry) => count !== 1 && !carry;
+
+const CreateDecodeError = (reason, index, charCode) => new Base64DecodeError(
+  'Invalid Base64 encoding',
+  reason,
+  index,
+  charCode
+);
+
+const CreateGroupEndError = (state, count, index, charCode) => count === 1 ?
+  CreateDecodeError('truncated-group', index, charCode) :
+  CreateDecodeError('non-canonical', state.lastIndex, state.lastCharCode);
+
+const DecodeEnd = state => {
+  if (state.error !== undefined) {
+    throw state.error;
+  }
+  const count = state.count;
+  const offset = state.offset;
+  let error;
+  if (state.paddingRemaining || (count && state.paddingMode === 'required')) {
+    error = CreateDecodeError('invalid-padding', offset);
+  } else if (state.strict && !IsCanonicalGroupEnd(count, state.carry)) {
+    error = CreateGroupEndError(state, count, offset);
+  }
+  ResetDecoderState(state);
+  if (error) {
+    throw error;
+  }
+}
+
+const GetDecodedLength = (target, state, source) => {
+  const $state = ObjectAssign({}, state);
+  $state.onSkip = undefined;
+  DecodeChunk(target, $state, source, undefined, 0);
+  return $state.decodedLength - state.decodedLength;
+}
+
+const CheckDecodeLimits = (target, state, source, length) => {
+  const maxInputLength = state.maxInputLength;
+  if (state.offset + length > maxInputLength) {
+    throw new Base64LengthError('Base64 input length exceeds limit', 'max-input-length', maxInputLength);
+  }
+  const maxDecodedLength = state.maxDecodedLength;
+  const decodedLength = state.decodedLength;
+  if (
+    decodedLength + GetInverseCapacity(state.count + length) > maxDecodedLength &&
+    decodedLength + GetDecodedLength(target, state, source) > maxDecodedLength
+  ) {
+    throw new Base64LengthError('Base64 decoded length exceeds limit', 'max-decoded-length', maxDecodedLength);
+  }
+}
+
+const DecodeChunk = (target, state, source, result, index) => {
+  if (state.error !== undefined) {
+    throw state.error;
+  }
+  const isString = IsString(source);
+  const length = isString ? source.length : TypedArrayLength(source);
+  const offset = state.offset;
+  state.offset = offset + length;
+  if (state.done) {
+    return index;
   }
   const baseMapLookup = GetSlot(target, $BaseMapLookup);
-  const padding = GetSlot(target, $Padding) || '\0';
   const paddingCharCode = GetSlot(target, $PaddingCharCode) || 0;
-  const capacity = GetInverseCapacity(length);
-  const result = new Uint8Array(capacity);
-  let index = 0;
-  let position = 0;
-  for (let i = 0; i < length; i += 4) {
-    try {
-      const bytes = GetDecodingBytes(length, position);
-      let carry = 0;
-      for (let j = 0; j < bytes; j++) {
-        const charCode = StringCharCodeAt(encodedString, position++);
-        const charIndex = MapGet(baseMapLookup, charCode);
-        if (charIndex === undefined) {
-          if (charCode === paddingCharCode && !ignorePadding) {
-            throw PADDING;
-          }
-          throw new RangeError('Invalid Base64 encoding');
+  const ignorePadding = state.ignorePadding;
+  const allowConcatenation = state.allowConcatenation;
+  const ignoreWhitespace = state.ignoreWhitespace;
+  const strict = state.strict;
+  const checkPadding = state.paddingMode !== undefined;
+  const onInvalid = state.onInvalid;
+  const onSkip = state.onSkip;
+  const limit = result === undefined ? Infinity : TypedArrayLength(result);
+  const start = index;
+  let carry = state.carry;
+  let count = state.count;
+  let paddingRemaining = state.paddingRemaining;
+  let closed = state.closed;
+  let groupPosition = 0;
+  let pendingLength = 0;
+  let pendingFirst = 0;
+  let pendingSecond = 0;
+  let pendingThird = 0;
+  let error;
+  const pushPending = value => {
+    if (pendingLength === 0) {
+      pendingFirst = value;
+    } else if (pendingLength === 1) {
+      pendingSecond = value;
+    } else {
+      pendingThird = value;
+    }
+    pendingLength++;
+  }
+  const flushPending = () => {
+    if (index + pendingLength > limit) {
+      state.offset = offset + groupPosition;
+      carry = 0;
+      count = 0;
+      pendingLength = 0;
+      return false;
+    }
+    if (result !== undefined && pendingLength) {
+      result[index] = pendingFirst;
+      if (pendingLength > 1) {
+        result[index + 1] = pendingSecond;
+      }
+      if (pendingLength > 2) {
+        result[index + 2] = pendingThird;
+      }
+    }
+    index += pendingLength;
+    pendingLength = 0;
+    return true;
+  }
+  for (let position = 0; position < length; position++) {
+    const charCode = isString ? StringCharCodeAt(source, position) : source[position];
+    if (paddingRemaining || closed) {
+      if (paddingRemaining && charCode === paddingCharCode) {
+        paddingRemaining--;
+        continue;
+      }
+      if (ignoreWhitespace && IsWhitespace(charCode)) {
+        continue;
+      }
+      if (onInvalid !== 'throw' && charCode !== paddingCharCode && !MapHas(baseMapLookup, charCode)) {
+        if (onInvalid === 'stop') {
+          state.done = true;
+          break;
         }
-        const mask = DECODING_MASKS[j];
-        const shift = DECODING_SHIFTS[j];
-        if (mask) {
-          result[index++] = carry + (charIndex >> DECODING_DIGITS[j]);
-          carry = (charIndex & mask) << shift;
-        } else {
-          carry += charIndex << shift;
+        if (onSkip !== undefined) {
+          onSkip(offset + position, StringFromCharCode(charCode));
         }
+        continue;
       }
-      result[index++] = carry;
-    } catch (e) {
-      if (e === PADDING) {
-        if (allowConcatenation) {
-          while (position < length && encodedString[position] === padding) {
-            position++;
+      error = CreateDecodeError('invalid-padding', offset + position, charCode);
+      break;
+    }
+    const charIndex = MapGet(baseMapLookup, charCode);
+    if (charIndex === undefined) {
+      if (charCode === paddingCharCode && !ignorePadding) {
+        if (strict && !IsCanonicalGroupEnd(count, carry)) {
+          error = CreateGroupEndError(state, count, offset + position, charCode);
+          break;
+        }
+        if (!flushPending()) {
+          break;
+        }
+        state.padded = true;
+        if (checkPadding) {
+          if (count < 2) {
+            error = count ?
+              CreateDecodeError('truncated-group', offset + position, charCode) :
+              CreateDecodeError('invalid-padding', offset + position, charCode);
+            break;
           }
-          i = position;
-          continue;
+          paddingRemaining = 3 - count;
+          closed = !allowConcatenation;
+        } else if (!allowConcatenation) {
+          state.done = true;
+          carry = 0;
+          count = 0;
+          break;
+        }
+        carry = 0;
+        count = 0;
+        continue;
+      }
+      if (ignoreWhitespace && IsWhitespace(charCode)) {
+        continue;
+      }
+      if (onInvalid === 'stop') {
+        if (flushPending()) {
+          state.done = true;
         }
         break;
       }
-      throw e;
+      if (onInvalid === 'skip') {
+        if (onSkip !== undefined) {
+          onSkip(offset + position, StringFromCharCode(charCode));
+        }
+        continue;
+      }
+      error = CreateDecodeError('invalid-character', offset + position, charCode);
+      break;
+    }
+    if (!count) {
+      groupPosition = position;
+    }
+    state.lastIndex = offset + position;
+    state.lastCharCode = charCode;
+    const mask = DECODING_MASKS[count];
+    const shift = DECODING_SHIFTS[count];
+    if (mask) {
+      pushPending(carry + (charIndex >> DECODING_DIGITS[count]));
+      carry = (charIndex & mask) << shift;
+    } else {
+      carry += charIndex << shift;
+    }
+    if (++count === 4) {
+      pushPending(carry);
+      carry = 0;
+      count = 0;
+      if (!flushPending()) {
+        break;
+      }
     }
   }
-  return capacity !== index ? TypedArraySlice(result, 0, index) : result;
+  if (!error && pendingLength) {
+    flushPending();
+  }
+  state.carry = carry;
+  state.count = count;
+  state.paddingRemaining = paddingRemaining;
+  state.closed = closed;
+  state.decodedLength += index - start;
+  if (error) {
+    state.error = error;
+    throw error;
+  }
+  return index;
 }
 
-const EncodeBytes = (target, buffer, withPadding) => {
-  const source = IsUint8Array(buffer) ? buffer : new Uint8Array(buffer);
-  const length = TypedArrayLength(source);
+const BytesToString = (bytes, length) => {
+  let result = '';
+  for (let i = 0; i < length; i++) {
+    result += StringFromCharCode(bytes[i]);
+  }
+  return result;
+}
+
+const DecodeSourceToBytes = (target, source, length, state, output) => {
   if (!length) {
-    return new Uint8Array(0);
+    return ToOutput(AllocateBytes(0, output), 0, output);
+  }
+  CheckDecodeLimits(target, state, source, length);
+  const capacity = output === 'arraybuffer' ? GetDecodedLength(target, state, source) : GetInverseCapacity(length);
+  const result = AllocateBytes(capacity, output);
+  const index = DecodeChunk(target, state, source, result, 0);
+  DecodeEnd(state);
+  return ToOutput(result, index, output);
+}
+
+const DecodeSourceToString = (target, source, length, state) => {
+  if (!length) {
+    return '';
   }
+  CheckDecodeLimits(target, state, source, length);
+  const result = new Uint8Array(GetInverseCapacity(length));
+  const index = DecodeChunk(target, state, source, result, 0);
+  DecodeEnd(state);
+  return BytesToString(result, index);
+}
+
+const Decode = (target, encodedString, state) => {
+  const length = encodedString.length;
+  return DecodeSourceToString(target, encodedString, length, state);
+}
+
+const DecodeToBytes = (target, encodedString, state, output) => {
+  const length = encodedString.length;
+  return DecodeSourceToBytes(target, encodedString, length, state, output);
+}
+
+const EncodeBytesRange = (target, source, start, end, line, result, index) => {
   const baseMap = GetSlot(target, $BaseMap);
-  const capacity = GetCapacity(length, withPadding);
-  const result = new Uint8Array(capacity);
-  let index = 0;
-  let position = 0;
-  for (let i = 0; i < length; i += 3) {
-    const bytes = GetEncodingBytes(length, i);
+  const lineLength = line.lineLength;
+  const lineSeparator = line.lineSeparator;
+  let column = line.column;
+  let position = start;
+  for (let i = start; i < end; i += 3) {
+    const bytes = GetEncodingBytes(end, i);
     let carry = 0;
     for (let j = 0; j < bytes; j++) {
       const byte = source[position++];
       const charIndex = carry + (byte >> ENCODING_SHIFTS[j]);
+      if (column === lineLength) {
+        index = WriteLineSeparator(result, index, lineSeparator);
+        column = 0;
+      }
       result[index++] = MapGet(baseMap, charIndex);
+      column++;
       carry = (byte & ENCODING_MASKS[j]) << ENCODING_DIGITS[j];
     }
-    result[index++] = MapGet(baseMap, carry);
-  }
-  if (withPadding && index < capacity) {
-    const paddingCharCode = GetSlot(target, $PaddingCharCode);
-    if (paddingCharCode) {
-      while (index < capacity) {
-        result[index++] = paddingCharCode;
-      }
+    if (column === lineLength) {
+      index = WriteLineSeparator(result, index, lineSeparator);
+      column = 0;
     }
+    result[index++] = MapGet(baseMap, carry);
+    column++;
   }
-  return result;
+  line.column = column;
+  return index;
 }
 
-const EncodeBytesToString = (target, buffer, withPadding) => {
-  const source = IsUint8Array(buffer) ? buffer : new Uint8Array(buffer);
-  const length = TypedArrayLength(source);
-  if (!length) {
-    return '';
-  }
+const EncodeBytesRangeToString = (target, source, start, end, line) => {
   const alphabet = GetSlot(target, $Alphabet);
+  const lineLength = line.lineLength;
+  const lineSeparator = line.lineSeparator;
+  let column = line.column;
   let result = '';
-  let position = 0;
-  for (let i = 0; i < length; i += 3) {
-    const bytes = GetEncodingBytes(length, i);
+  let position = start;
+  for (let i = start; i < end; i += 3) {
+    const bytes = GetEncodingBytes(end, i);
     let carry = 0;
     for (let j = 0; j < bytes; j++) {
       const byte = source[position++];
       const charIndex = carry + (byte >> ENCODING_SHIFTS[j]);
+      if (column === lineLength) {
+        result += lineSeparator;
+        column = 0;
+      }
       result += alphabet[charIndex];
+      column++;
       carry = (byte & ENCODING_MASKS[j]) << ENCODING_DIGITS[j];
     }
+    if (column === lineLength) {
+      result += lineSeparator;
+      column = 0;
+    }
     result += alphabet[carry];
+    column++;
+  }
+  line.column = column;
+  return result;
+}
+
+const EncodeBytes = (target, buffer, withPadding, line, output) => {
+  const source = ToUint8Array(buffer);
+  const length = TypedArrayLength(source);
+  if (!length) {
+    return ToOutput(AllocateBytes(0, output), 0, output);
+  }
+  const lineSeparator = line.lineSeparator;
+  const encodedLength = GetCapacity(length, withPadding);
+  const capacity = encodedLength + GetSeparatorCount(encodedLength, line) * lineSeparator.length;
+  const result = AllocateBytes(capacity, output);
+  let index = EncodeBytesRange(target, source, 0, length, line, result, 0);
+  if (withPadding) {
+    const paddingCharCode = GetSlot(target, $PaddingCharCode) || 0;
+    const lineLength = line.lineLength;
+    let column = line.column;
+    while (index < capacity) {
+      if (column === lineLength) {
+        index = WriteLineSeparator(result, index, lineSeparator);
+        column = 0;
+      }
+      result[index++] = paddingCharCode;
+      column++;
+    }
+    line.column = column;
+  }
+  return ToOutput(result, capacity, output);
+}
+
+const EncodeBytesToString = (target, buffer, withPadding, line) => {
+  const source = ToUint8Array(buffer);
+  const length = TypedArrayLength(source);
+  if (!length) {
+    return '';
   }
+  let result = EncodeBytesRangeToString(target, source, 0, length, line);
   if (withPadding) {
-    const paddedLength = GetPaddedLength(result.length);
-    if (result.length < paddedLength) {
+    const paddingLength = GetPaddingLength(length);
+    if (paddingLength) {
       const padding = GetSlot(target, $Padding) || '\0';
-      while (result.length < paddedLength) {
+      const lineLength = line.lineLength;
+      const lineSeparator = line.lineSeparator;
+      let column = line.column;
+      for (let i = 0; i < paddingLength; i++) {
+        if (column === lineLength) {
+          result += lineSeparator;
+          column = 0;
+        }
         result += padding;
+        column++;
       }
+      line.column = column;
     }
   }
   return result;
 }
 
-const DecodeBytes = (target, buffer, ignorePadding, allowConcatenation) => {
-  const source = IsUint8Array(buffer) ? buffer : new Uint8Array(buffer);
+const DecodeBytes = (target, buffer, state, output) => {
+  const source = ToUint8Array(buffer);
   const length = TypedArrayLength(source);
-  if (!length) {
-    return new Uint8Array(0);
-  }
-  const baseMapLookup = GetSlot(target, $BaseMapLookup);
-  const paddingCharCode = GetSlot(target, $PaddingCharCode) || 0;
+  return DecodeSourceToBytes(target, source, length, state, output);
+}
+
+const DecodeSegment = (target, state, segment, length, result) => {
   const capacity = GetInverseCapacity(length);
-  const result = new Uint8Array(capacity);
-  let index = 0;
-  let position = 0;
-  for (let i = 0; i < length; i += 4) {
-    try {
-      const bytes = GetDecodingBytes(length, position);
-      let carry = 0;
-      for (let j = 0; j < bytes; j++) {
-        const charCode = source[position++];
-        const charIndex = MapGet(baseMapLookup, charCode);
-        if (charIndex === undefined) {
-          if (charCode === paddingCharCode && !ignorePadding) {
-            throw PADDING;
-          }
-          throw new RangeError('Invalid Base64 encoding');
-        }
-        const mask = DECODING_MASKS[j];
-        const shift = DECODING_SHIFTS[j];
-        if (mask) {
-          result[index++] = carry + (charIndex >> DECODING_DIGITS[j]);
-          carry = (charIndex & mask) << shift;
-        } else {
-          carry += charIndex << shift;
-        }
+  const bytes = new Uint8Array(capacity);
+  const index = DecodeChunk(target, state, segment, bytes, 0);
+  const stopped = state.done && !state.padded;
+  const empty = !index && !state.count && !state.padded;
+  DecodeEnd(state);
+  if (!empty) {
+    ArrayPush(result, index !== capacity ? TypedArraySlice(bytes, 0, index) : bytes);
+  }
+  return stopped;
+}
+
+const DecodeSegments = (target, source, length, state) => {
+  const $state = ObjectAssign({}, state);
+  $state.allowConcatenation = true;
+  CheckDecodeLimits(target, $state, source, length);
+  const isString = IsString(source);
+  const paddingCharCode = state.ignorePadding ? undefined : GetSlot(target, $PaddingCharCode);
+  const result = [];
+  let start = 0;
+  let padded = false;
+  for (let position = 0; position < length; position++) {
+    const charCode = isString ? StringCharCodeAt(source, position) : source[position];
+    if (charCode === paddingCharCode) {
+      padded = true;
+    } else if (padded && !IsWhitespace(charCode)) {
+      state.offset = start;
+      const segment = isString ? StringSlice(source, start, position) : TypedArraySubarray(source, start, position);
+      if (DecodeSegment(target, state, segment, position - start, result)) {
+        return result;
       }
-      result[index++] = carry;
-    } catch (e) {
-      if (e === PADDING) {
-        if (allowConcatenation) {
-          while (position < length && source[position] === paddingCharCode) {
-            position++;
-          }
-          i = position;
-          continue;
-        }
-        break;
+      start = position;
+      padded = false;
+    }
+  }
+  if (start < length) {
+    state.offset = start;
+    const segment = isString ? StringSlice(source, start) : TypedArraySubarray(source, start);
+    DecodeSegment(target, state, segment, length - start, result);
+  }
+  return result;
+}
+
+const DecodeBytesToString = (target, buffer, state) => {
+  const source = ToUint8Array(buffer);
+  const length = TypedArrayLength(source);
+  return DecodeSourceToString(target, source, length, state);
+}
+
+const EncodeText = (target, text, withPadding, line) => {
+  const buffer = UTF8Encode(text);
+  return EncodeBytesToString(target, buffer, withPadding, line);
+}
+
+const EncodeTextToBytes = (target, text, withPadding, line, output) => {
+  const buffer = UTF8Encode(text);
+  return EncodeBytes(target, buffer, withPadding, line, output);
+}
+
+const DecodeText = (target, encodedString, state) => {
+  const buffer = DecodeToBytes(target, encodedString, state);
+  return UTF8Decode(buffer);
+}
+
+const DecodeBytesToText = (target, buffer, state) => {
+  const bytes = DecodeBytes(target, buffer, state);
+  return UTF8Decode(bytes);
+}
+
+const EncodeInto = (target, buffer, result, offset, withPadding) => {
+  const source = ToUint8Array(buffer);
+  const length = TypedArrayLength(source);
+  const available = TypedArrayLength(result) - offset;
+  const groups = MathFloor(length / 3);
+  const availableGroups = MathFloor(available / 4);
+  const line = CreateLineState(Infinity, '');
+  if (availableGroups < groups) {
+    const read = availableGroups * 3;
+    const index = EncodeBytesRange(target, source, 0, read, line, result, offset);
+    return {
+      read,
+      written: index - offset
+    };
+  }
+  let read = groups * 3;
+  let index = EncodeBytesRange(target, source, 0, read, line, result, offset);
+  const remaining = length - read;
+  if (remaining) {
+    const paddingLength = withPadding ? 3 - remaining : 0;
+    if (offset + available - index >= remaining + 1 + paddingLength) {
+      index = EncodeBytesRange(target, source, read, length, line, result, index);
+      const paddingCharCode = GetSlot(target, $PaddingCharCode) || 0;
+      for (let i = 0; i < paddingLength; i++) {
+        result[index++] = paddingCharCode;
       }
+      read = length;
+    }
+  }
+  return {
+    read,
+    written: index - offset
+  };
+}
+
+const DecodeInto = (target, source, length, result, offset, state) => {
+  CheckDecodeLimits(target, state, source, length);
+  const index = DecodeChunk(target, state, source, result, offset);
+  const read = state.offset;
+  if (read === length) {
+    DecodeEnd(state);
+  }
+  return {
+    read,
+    written: index - offset
+  };
+}
+
+const Validate = (target, source, state) => {
+  let error;
+  try {
+    CheckDecodeLimits(target, state, source, IsString(source) ? source.length : TypedArrayLength(source));
+    DecodeChunk(target, state, source, undefined, 0);
+  } catch (e) {
+    if (!(e instanceof Base64DecodeError || e instanceof Base64LengthError)) {
       throw e;
     }
+    error = e;
   }
-  return capacity !== index ? TypedArraySlice(result, 0, index) : result;
+  const padding = state.padded;
+  const decodedLength = state.decodedLength;
+  try {
+    if (error) {
+      ResetDecoderState(state);
+    } else {
+      DecodeEnd(state);
+    }
+  } catch (e) {
+    if (!(e instanceof Base64DecodeError)) {
+      throw e;
+    }
+    error = e;
+  }
+  return {
+    valid: !error,
+    decodedLength,
+    padding,
+    error
+  };
 }
 
-const DecodeBytesToString = (target, buffer, ignorePadding, allowConcatenation) => {
-  const source = IsUint8Array(buffer) ? buffer : new Uint8Array(buffer);
-  const length = TypedArrayLength(source);
-  if (!length) {
-    return '';
+const CreateChunkReader = (target, source, length, state) => ({
+  target,
+  source,
+  length,
+  state,
+  buffer: new Uint8Array(READER_BUFFER_SIZE),
+  read: 0,
+  index: 0,
+  size: 0
+});
+
+const ReadChunk = reader => {
+  const source = reader.source;
+  const length = reader.length;
+  const state = reader.state;
+  let read = reader.read;
+  while (read < length) {
+    let chunk = source;
+    if (read) {
+      chunk = IsString(source) ? StringSlice(source, read) : TypedArraySubarray(source, read);
+    }
+    const size = DecodeChunk(reader.target, state, chunk, reader.buffer, 0);
+    read = state.offset;
+    if (read === length) {
+      DecodeEnd(state);
+    }
+    if (size) {
+      reader.read = read;
+      reader.index = 0;
+      reader.size = size;
+      return true;
+    }
   }
-  const baseMapLookup = GetSlot(target, $BaseMapLookup);
-  const paddingCharCode = GetSlot(target, $PaddingCharCode) || 0;
+  reader.read = read;
+  return false;
+}
+
+const GetOperandEncoding = (target, from, source, options) => {
+  if (from === undefined || Validate(target, source, GetDecoderState(target, options)).valid) {
+    return target;
+  }
+  return from;
+}
+
+const Equals = (aTarget, a, aLength, aState, bTarget, b, bLength, bState) => {
+  CheckDecodeLimits(aTarget, aState, a, aLength);
+  CheckDecodeLimits(bTarget, bState, b, bLength);
+  const aReader = CreateChunkReader(aTarget, a, aLength, aState);
+  const bReader = CreateChunkReader(bTarget, b, bLength, bState);
+  const aBuffer = aReader.buffer;
+  const bBuffer = bReader.buffer;
+  while (true) {
+    const aEnd = aReader.index === aReader.size && !ReadChunk(aReader);
+    const bEnd = bReader.index === bReader.size && !ReadChunk(bReader);
+    if (aEnd || bEnd) {
+      return aEnd && bEnd;
+    }
+    const aIndex = aReader.index;
+    const bIndex = bReader.index;
+    const count = MathMin(aReader.size - aIndex, bReader.size - bIndex);
+    for (let i = 0; i < count; i++) {
+      if (aBuffer[aIndex + i] !== bBuffer[bIndex + i]) {
+        return false;
+      }
+    }
+    aReader.index = aIndex + count;
+    bReader.index = bIndex + count;
+  }
+}
+
+const GetHexDigit = (hexString, position) => {
+  const charCode = StringCharCodeAt(hexString, position);
+  if (charCode >= 0x30 && charCode <= 0x39) {
+    return charCode - 0x30;
+  }
+  const lowerCharCode = charCode | 0x20;
+  if (lowerCharCode >= 0x61 && lowerCharCode <= 0x66) {
+    return lowerCharCode - 0x57;
+  }
+  throw new RangeError('Invalid hex encoding');
+}
+
+const FromHex = (target, hexString, withPadding, line) => {
+  const length = hexString.length;
+  if (length % 2) {
+    throw new RangeError('Invalid hex encoding');
+  }
+  const alphabet = GetSlot(target, $Alphabet);
+  const lineLength = line.lineLength;
+  const lineSeparator = line.lineSeparator;
+  let column = line.column;
   let result = '';
   let position = 0;
-  for (let i = 0; i < length; i += 4) {
-    try {
-      const bytes = GetDecodingBytes(length, position);
-      let carry = 0;
-      for (let j = 0; j < bytes; j++) {
-        const charCode = source[position++];
-        const charIndex = MapGet(baseMapLookup, charCode);
-        if (charIndex === undefined) {
-          if (charCode === paddingCharCode && !ignorePadding) {
-            throw PADDING;
-          }
-          throw new RangeError('Invalid Base64 encoding');
-        }
-        const mask = DECODING_MASKS[j];
-        const shift = DECODING_SHIFTS[j];
-        if (mask) {
-          const charCode = carry + (charIndex >> DECODING_DIGITS[j]);
-          result += StringFromCharCode(charCode);
-          carry = (charIndex & mask) << shift;
-        } else {
-          carry += charIndex << shift;
-        }
+  while (position < length) {
+    const remaining = length - position;
+    let value = GetHexDigit(hexString, position++) << 8;
+    let chars = 1;
+    if (remaining > 1) {
+      value += GetHexDigit(hexString, position++) << 4;
+      chars = 2;
+    }
+    if (remaining > 2) {
+      value += GetHexDigit(hexString, position++);
+    }
+    for (let i = 0; i < chars; i++) {
+      if (column === lineLength) {
+        result += lineSeparator;
+        column = 0;
       }
-      result += StringFromCharCode(carry);
-    } catch (e) {
-      if (e === PADDING) {
-        if (allowConcatenation) {
-          while (position < length && source[position] === paddingCharCode) {
-            position++;
-          }
-          i = position;
-          continue;
+      result += alphabet[i ? value & 0x3f : value >> 6];
+      column++;
+    }
+  }
+  if (withPadding) {
+    const paddingLength = GetPaddingLength(length / 2);
+    if (paddingLength) {
+      const padding = GetSlot(target, $Padding) || '\0';
+      for (let i = 0; i < paddingLength; i++) {
+        if (column === lineLength) {
+          result += lineSeparator;
+          column = 0;
         }
-        break;
+        result += padding;
+        column++;
       }
-      throw e;
     }
   }
+  line.column = column;
   return result;
 }
 
-const EncodeText = (target, text, withPadding) => {
-  const buffer = UTF8Encode(text);
-  return EncodeBytesToString(target, buffer, withPadding);
+const ToHex = (target, source, length, state) => {
+  CheckDecodeLimits(target, state, source, length);
+  const reader = CreateChunkReader(target, source, length, state);
+  const buffer = reader.buffer;
+  let result = '';
+  while (ReadChunk(reader)) {
+    const size = reader.size;
+    for (let i = 0; i < size; i++) {
+      const byte = buffer[i];
+      result += HEX_DIGITS[byte >> 4] + HEX_DIGITS[byte & 0xf];
+    }
+  }
+  return result;
 }
 
-const EncodeTextToBytes = (target, text, withPadding) => {
-  const buffer = UTF8Encode(text);
-  return EncodeBytes(target, buffer, withPadding);
+const EncodeInt = (target, integer) => {
+  const alphabet = GetSlot(target, $Alphabet);
+  if (!integer) {
+    return alphabet[0];
+  }
+  let result = '';
+  let carry = integer;
+  while (carry) {
+    const charIndex = carry % 64;
+    const char = alphabet[charIndex];
+    result = `${char}${result}`;
+    carry = MathFloor(carry / 64);
+  }
+  return result;
 }
 
-const DecodeText = (target, encodedString, ignorePadding, allowConcatenation) => {
-  const buffer = DecodeToBytes(target, encodedString, ignorePadding, allowConcatenation);
-  return UTF8Decode(buffer);
+const DecodeInt = (target, encodedInteger, strict) => {
+  const length = encodedInteger.length;
+  if (!length) {
+    if (strict) {
+      throw new Base64DecodeError('Invalid Base64 encoded integer', 'empty-input', 0);
+    }
+    return NaN;
+  }
+  const alphabet = GetSlot(target, $Alphabet);
+  const alphabetLookup = GetSlot(target, $AlphabetLookup);
+  const zeroChar = alphabet[0];
+  let leadingZeros = 0;
+  while (leadingZeros < length && encodedInteger[leadingZeros] === zeroChar) {
+    leadingZeros++;
+  }
+  let result = 0;
+  for (let i = leadingZeros; i < length; i++) {
+    const char = encodedInteger[i];
+    const charIndex = MapGet(alphabetLookup, char);
+    if (charIndex === undefined) {
+      if (strict) {
+        const charCode = StringCharCodeAt(encodedInteger, i);
+        throw new Base64DecodeError('Invalid Base64 encoded integer', 'invalid-character', i, charCode);
+      }
+      return NaN;
+    }
+    result = result * 64 + charIndex;
+  }
+  return result;
 }
 
-const DecodeBytesToText = (target, buffer, ignorePadding, allowConcatenation) => {
-  const bytes = DecodeBytes(target, buffer, ignorePadding, allowConcatenation);
-  return UTF8Decode(bytes);
+class Base64DecodeError extends RangeError {
+  constructor(message, reason, index, charCode) {
+    super(message);
+    this.reason = reason;
+    this.index = index;
+    this.charCode = charCode;
+    this.character = charCode === undefined ? undefined : StringFromCharCode(charCode);
+  }
+}
+exports.Base64DecodeError = Base64DecodeError;
+
+ReflectDefineProperty(Base64DecodeError.prototype, 'name', {
+  value: 'Base64DecodeError',
+  writable: true,
+  configurable: true
+});
+
+class Base64LengthError extends RangeError {
+  constructor(message, reason, limit) {
+    super(message);
+    this.reason = reason;
+    this.limit = limit;
+  }
+}
+exports.Base64LengthError = Base64LengthError;
+
+ReflectDefineProperty(Base64LengthError.prototype, 'name', {
+  value: 'Base64LengthError',
+  writable: true,
+  configurable: true
+});
+
+const IsDecodable = (target, source, strict) => {
+  const padding = GetSlot(target, $Padding);
+  const paddingMode = padding ? 'optional' : 'forbidden';
+  const state = CreateDecoderState(!padding, false, true, strict, paddingMode, 'throw', undefined, Infinity, Infinity);
+  return Validate(target, source, state).valid;
+}
+
+const Detect = (source, length, candidates) => {
+  const isString = IsString(source);
+  let whitespace = false;
+  for (let i = 0; i < length; i++) {
+    const charCode = isString ? StringCharCodeAt(source, i) : source[i];
+    if (IsWhitespace(charCode)) {
+      whitespace = true;
+      break;
+    }
+  }
+  const results = [];
+  let total = 0;
+  for (let i = 0; i < candidates.length; i++) {
+    const candidate = candidates[i];
+    let score;
+    if (IsDecodable(candidate, source, true)) {
+      score = 2;
+    } else if (IsDecodable(candidate, source, false)) {
+      score = 1;
+    } else {
+      continue;
+    }
+    const paddingCharCode = GetSlot(candidate, $PaddingCharCode);
+    let padding = false;
+    let dataLength = 0;
+    for (let j = 0; j < length; j++) {
+      const charCode = isString ? StringCharCodeAt(source, j) : source[j];
+      if (charCode === paddingCharCode) {
+        padding = true;
+      } else if (!IsWhitespace(charCode)) {
+        dataLength++;
+      }
+    }
+    if (padding || (dataLength % 4 ? !paddingCharCode : true)) {
+      score++;
+    }
+    const result = {
+      encoding: candidate,
+      confidence: score,
+      padding
+    };
+    let position = results.length;
+    while (position && results[position - 1].confidence < score) {
+      results[position] = results[position - 1];
+      position--;
+    }
+    results[position] = result;
+    total += score;
+  }
+  for (let i = 0; i < results.length; i++) {
+    results[i].confidence /= total;
+  }
+  return {
+    candidates: results,
+    padding: results.length ? results[0].padding : false,
+    whitespace
+  };
+}
+
+const VariantRegistry = new Map();
+const VariantNames = [];
+
+const RegisterVariant = (name, encoding) => {
+  MapSet(VariantRegistry, name, encoding);
+  ArrayPush(VariantNames, name);
+}
+
+const CreateEncoderState = (withPadding, toBytes, line) => ({
+  withPadding,
+  toBytes,
+  line,
+  remainder: new Uint8Array(3),
+  remainderLength: 0
+});
+
+const EncoderUpdate = (target, state, buffer) => {
+  const source = ToUint8Array(buffer);
+  const length = TypedArrayLength(source);
+  const remainder = state.remainder;
+  let remainderLength = state.remainderLength;
+  let position = 0;
+  if (remainderLength) {
+    while (remainderLength < 3 && position < length) {
+      remainder[remainderLength++] = source[position++];
+    }
+    if (remainderLength < 3) {
+      state.remainderLength = remainderLength;
+      return state.toBytes ? new Uint8Array(0) : '';
+    }
+  }
+  const end = length - (length - position) % 3;
+  const line = state.line;
+  let result;
+  if (state.toBytes) {
+    const encodedLength = GetCapacity(remainderLength + end - position, false);
+    const capacity = encodedLength + GetSeparatorCount(encodedLength, line) * line.lineSeparator.length;
+    result = new Uint8Array(capacity);
+    let index = 0;
+    if (remainderLength) {
+      index = EncodeBytesRange(target, remainder, 0, 3, line, result, index);
+    }
+    EncodeBytesRange(target, source, position, end, line, result, index);
+  } else {
+    result = remainderLength ? EncodeBytesRangeToString(target, remainder, 0, 3, line) : '';
+    result += EncodeBytesRangeToString(target, source, position, end, line);
+  }
+  remainderLength = length - end;
+  for (let i = 0; i < remainderLength; i++) {
+    remainder[i] = source[end + i];
+  }
+  state.remainderLength = remainderLength;
+  return result;
+}
+
+const EncoderFinal = (target, state) => {
+  const remainder = TypedArraySubarray(state.remainder, 0, state.remainderLength);
+  const line = state.line;
+  const result = state.toBytes ?
+    EncodeBytes(target, remainder, state.withPadding, line) :
+    EncodeBytesToString(target, remainder, state.withPadding, line);
+  state.remainderLength = 0;
+  line.column = 0;
+  return result;
+}
+
+const DecoderUpdate = (target, state, chunk) => {
+  let source;
+  let length;
+  if (IsByteSource(chunk)) {
+    source = ToUint8Array(chunk);
+    length = TypedArrayLength(source);
+  } else {
+    source = ToString(chunk);
+    length = source.length;
+  }
+  if (!length) {
+    return new Uint8Array(0);
+  }
+  CheckDecodeLimits(target, state, source, length);
+  const capacity = GetInverseCapacity(state.count + length);
+  const result = new Uint8Array(capacity);
+  const index = DecodeChunk(target, state, source, result, 0);
+  return capacity !== index ? TypedArraySlice(result, 0, index) : result;
+}
+
+const DecoderFinal = state => {
+  DecodeEnd(state);
+  return new Uint8Array(0);
 }
 
-const EncodeInt = (target, integer) => {
-  const alphabet = GetSlot(target, $Alphabet);
-  if (!integer) {
-    return alphabet[0];
+const EncodeAsyncIterable = async function* (target, state, iterable) {
+  for await (const chunk of iterable) {
+    RequireBuffer(chunk);
+    const result = EncoderUpdate(target, state, chunk);
+    if (result.length) {
+      yield result;
+    }
+  }
+  const result = EncoderFinal(target, state);
+  if (result.length) {
+    yield result;
+  }
+}
+
+const DecodeAsyncIterable = async function* (target, state, iterable) {
+  for await (const chunk of iterable) {
+    const result = DecoderUpdate(target, state, chunk);
+    if (result.length) {
+      yield result;
+    }
+  }
+  const result = DecoderFinal(state);
+  if (result.length) {
+    yield result;
+  }
+}
+
+const ConcatBytes = (chunks, length) => {
+  const result = new Uint8Array(length);
+  let index = 0;
+  for (let i = 0; i < chunks.length; i++) {
+    const chunk = chunks[i];
+    TypedArraySet(result, chunk, index);
+    index += TypedArrayLength(chunk);
+  }
+  return result;
+}
+
+const TranscodeChunk = (fromEncoding, toEncoding, decoderState, encoderState, chunk) => {
+  const bytes = DecoderUpdate(fromEncoding, decoderState, chunk);
+  return EncoderUpdate(toEncoding, encoderState, bytes);
+}
+
+const TranscodeFinal = (fromEncoding, toEncoding, decoderState, encoderState) => {
+  DecoderFinal(decoderState);
+  return EncoderFinal(toEncoding, encoderState);
+}
+
+const Transcode = (fromEncoding, toEncoding, source, length, decoderState, encoderState) => {
+  const isString = IsString(source);
+  const chunks = [];
+  let resultLength = 0;
+  for (let position = 0; position < length; position += TRANSCODE_CHUNK_SIZE) {
+    const end = MathMin(position + TRANSCODE_CHUNK_SIZE, length);
+    const chunk = isString ? StringSlice(source, position, end) : TypedArraySubarray(source, position, end);
+    const result = TranscodeChunk(fromEncoding, toEncoding, decoderState, encoderState, chunk);
+    ArrayPush(chunks, result);
+    resultLength += result.length;
+  }
+  const result = TranscodeFinal(fromEncoding, toEncoding, decoderState, encoderState);
+  ArrayPush(chunks, result);
+  resultLength += result.length;
+  return encoderState.toBytes ? ConcatBytes(chunks, resultLength) : ArrayJoin(chunks, '');
+}
+
+const TranscodeAsyncIterable = async function* (fromEncoding, toEncoding, decoderState, encoderState, iterable) {
+  for await (const chunk of iterable) {
+    const result = TranscodeChunk(fromEncoding, toEncoding, decoderState, encoderState, chunk);
+    if (result.length) {
+      yield result;
+    }
+  }
+  const result = TranscodeFinal(fromEncoding, toEncoding, decoderState, encoderState);
+  if (result.length) {
+    yield result;
+  }
+}
+
+const GetAbortSignal = options => {
+  if (options === undefined) {
+    return undefined;
+  }
+  RequireOptionsObject(options);
+  const signal = options.signal;
+  if (signal !== undefined && !(typeof AbortSignal === 'function' && signal instanceof AbortSignal)) {
+    throw new TypeError('`options.signal` is not an instance of AbortSignal');
+  }
+  return signal;
+}
+
+const CreateAbortError = () => {
+  if (typeof DOMException === 'function') {
+    return new DOMException('The operation was aborted', 'AbortError');
+  }
+  const error = new Error('The operation was aborted');
+  error.name = 'AbortError';
+  return error;
+}
+
+const ThrowIfAborted = signal => {
+  if (signal !== undefined && signal.aborted) {
+    const reason = signal.reason;
+    throw reason !== undefined ? reason : CreateAbortError();
+  }
+}
+
+const EncodeBlob = async (target, state, blob, signal) => {
+  const size = blob.size;
+  const chunks = [];
+  let length = 0;
+  for (let position = 0; position < size; position += BLOB_CHUNK_SIZE) {
+    ThrowIfAborted(signal);
+    const buffer = await blob.slice(position, position + BLOB_CHUNK_SIZE).arrayBuffer();
+    ThrowIfAborted(signal);
+    const result = EncoderUpdate(target, state, buffer);
+    ArrayPush(chunks, result);
+    length += result.length;
+  }
+  const result = EncoderFinal(target, state);
+  ArrayPush(chunks, result);
+  length += result.length;
+  return state.toBytes ? ConcatBytes(chunks, length) : ArrayJoin(chunks, '');
+}
+
+const DecodeToBlob = async (target, state, source, type, signal) => {
+  const chunks = [];
+  if (IsBlob(source)) {
+    const size = source.size;
+    for (let position = 0; position < size; position += BLOB_CHUNK_SIZE) {
+      ThrowIfAborted(signal);
+      const buffer = await source.slice(position, position + BLOB_CHUNK_SIZE).arrayBuffer();
+      ThrowIfAborted(signal);
+      ArrayPush(chunks, DecoderUpdate(target, state, buffer));
+    }
+  } else {
+    const isString = IsString(source);
+    const length = isString ? source.length : TypedArrayLength(source);
+    if (length) {
+      CheckDecodeLimits(target, ObjectAssign({}, state), source, length);
+    }
+    for (let position = 0; position < length; position += BLOB_CHUNK_SIZE) {
+      ThrowIfAborted(signal);
+      const end = MathMin(position + BLOB_CHUNK_SIZE, length);
+      const chunk = isString ? StringSlice(source, position, end) : TypedArraySubarray(source, position, end);
+      ArrayPush(chunks, DecoderUpdate(target, state, chunk));
+    }
+  }
+  DecoderFinal(state);
+  return new Blob(chunks, {
+    type
+  });
+}
+
+const CreateTransformStream = (update, final) => {
+  if (typeof TransformStream !== 'function') {
+    throw new TypeError('TransformStream is not supported');
+  }
+  return new TransformStream({
+    transform(chunk, controller) {
+      const result = update(chunk);
+      if (result.length) {
+        controller.enqueue(result);
+      }
+    },
+    flush(controller) {
+      const result = final();
+      if (result.length) {
+        controller.enqueue(result);
+      }
+    }
+  });
+}
+
+class Base64Encoding {
+  static for(name) {
+    const $name = ToString(name);
+    const encoding = MapGet(VariantRegistry, $name);
+    if (encoding === undefined) {
+      throw new RangeError('Unknown Base64 encoding variant');
+    }
+    return encoding;
+  }
+
+  static register(name, encoding) {
+    if (!IsString(name)) {
+      throw new TypeError('`name` is not a string');
+    }
+    if (!name) {
+      throw new RangeError('Invalid variant name');
+    }
+    RequireEncoding(encoding);
+    if (MapHas(VariantRegistry, name)) {
+      throw new RangeError('Base64 encoding variant is already registered');
+    }
+    RegisterVariant(name, encoding);
+  }
+
+  static variants() {
+    return ArraySlice(VariantNames);
   }
-  let result = '';
-  let carry = integer;
-  while (carry) {
-    const charIndex = carry % 64;
-    const char = alphabet[charIndex];
-    result = `${char}${result}`;
-    carry = MathFloor(carry / 64);
+
+  static union(...encodings) {
+    if (!encodings.length) {
+      throw new TypeError('No Base64 encodings given');
+    }
+    for (let i = 0; i < encodings.length; i++) {
+      RequireEncoding(encodings[i]);
+    }
+    const alphabet = GetSlot(encodings[0], $Alphabet);
+    const decodeAliases = {};
+    let padding = '';
+    let maxInputLength = Infinity;
+    let maxDecodedLength = Infinity;
+    for (let i = 0; i < encodings.length; i++) {
+      const encoding = encodings[i];
+      MapForEach(GetSlot(encoding, $AlphabetLookup), (charIndex, alias) => {
+        const char = alphabet[charIndex];
+        if (alias === char) {
+          return;
+        }
+        const $char = decodeAliases[alias];
+        if ($char !== undefined && $char !== char) {
+          throw new RangeError('Invalid decode alias');
+        }
+        decodeAliases[alias] = char;
+      });
+      const $padding = GetSlot(encoding, $Padding);
+      if ($padding) {
+        if (padding && padding !== $padding) {
+          throw new RangeError('Conflicting padding characters');
+        }
+        padding = $padding;
+      }
+      maxInputLength = MathMin(maxInputLength, GetSlot(encoding, $MaxInputLength));
+      maxDecodedLength = MathMin(maxDecodedLength, GetSlot(encoding, $MaxDecodedLength));
+    }
+    return new Base64Encoding(alphabet, {
+      padding,
+      decodeAliases,
+      maxInputLength,
+      maxDecodedLength,
+      output: GetSlot(encodings[0], $Output)
+    });
   }
-  return result;
-}
 
-const DecodeInt = (target, encodedInteger) => {
-  const length = encodedInteger.length;
-  if (!length) {
-    return NaN;
+  static transcode(input, fromEncoding, toEncoding, options) {
+    RequireFromEncoding(fromEncoding);
+    RequireToEncoding(toEncoding);
+    const decoder = new Base64Decoder(fromEncoding, options);
+    const encoder = new Base64Encoder(toEncoding, options);
+    const decoderState = GetSlot(decoder, $DecoderState);
+    const encoderState = GetSlot(encoder, $EncoderState);
+    if (IsByteSource(input)) {
+      const source = ToUint8Array(input);
+      encoderState.toBytes = true;
+      return Transcode(fromEncoding, toEncoding, source, TypedArrayLength(source), decoderState, encoderState);
+    }
+    const $input = ToString(input);
+    encoderState.toBytes = false;
+    return Transcode(fromEncoding, toEncoding, $input, $input.length, decoderState, encoderState);
   }
-  const alphabet = GetSlot(target, $Alphabet);
-  const alphabetLookup = GetSlot(target, $AlphabetLookup);
-  const zeroChar = alphabet[0];
-  let leadingZeros = 0;
-  while (leadingZeros < length && encodedInteger[leadingZeros] === zeroChar) {
-    leadingZeros++;
+
+  static transcodeAsyncIterable(iterable, fromEncoding, toEncoding, options) {
+    RequireFromEncoding(fromEncoding);
+    RequireToEncoding(toEncoding);
+    const decoder = new Base64Decoder(fromEncoding, options);
+    const encoder = new Base64Encoder(toEncoding, options);
+    const decoderState = GetSlot(decoder, $DecoderState);
+    const encoderState = GetSlot(encoder, $EncoderState);
+    return TranscodeAsyncIterable(fromEncoding, toEncoding, decoderState, encoderState, iterable);
   }
-  let result = 0;
-  for (let i = leadingZeros; i < length; i++) {
-    const char = encodedInteger[i];
-    const charIndex = MapGet(alphabetLookup, char);
-    if (charIndex === undefined) {
-      return NaN;
+
+  static detect(input, options) {
+    const candidates = [BASIC, URL];
+    if (options !== undefined) {
+      RequireOptionsObject(options);
+      const $candidates = options.candidates;
+      if ($candidates !== undefined) {
+        RequireCandidates($candidates);
+        for (const candidate of $candidates) {
+          RequireCandidate(candidate);
+          if (candidate !== BASIC && candidate !== URL) {
+            ArrayPush(candidates, candidate);
+          }
+        }
+      }
     }
-    result = result * 64 + charIndex;
+    if (IsByteSource(input)) {
+      const source = ToUint8Array(input);
+      return Detect(source, TypedArrayLength(source), candidates);
+    }
+    const $input = ToString(input);
+    return Detect($input, $input.length, candidates);
   }
-  return result;
-}
 
-class Base64Encoding {
   constructor(alphabet, options) {
     if (!IsString(alphabet)) {
       throw new TypeError('`alphabet` is not a string');
@@ -559,13 +1826,57 @@ class Base64Encoding {
     if (MapHas(alphabetLookup, padding)) {
       throw new RangeError('Invalid padding');
     }
+    let maxInputLength = Infinity;
+    let maxDecodedLength = Infinity;
+    let output = DEFAULT_OUTPUT;
+    if (options !== undefined) {
+      const $output = options.output;
+      if ($output !== undefined) {
+        output = GetOutputType($output);
+      }
+      const $maxInputLength = options.maxInputLength;
+      if ($maxInputLength !== undefined) {
+        maxInputLength = GetMaxLength($maxInputLength);
+      }
+      const $maxDecodedLength = options.maxDecodedLength;
+      if ($maxDecodedLength !== undefined) {
+        maxDecodedLength = GetMaxLength($maxDecodedLength);
+      }
+      const decodeAliases = options.decodeAliases;
+      if (decodeAliases !== undefined) {
+        if (!IsObject(decodeAliases)) {
+          throw new TypeError('`options.decodeAliases` is not an object');
+        }
+        const aliases = ObjectKeys(decodeAliases);
+        for (let i = 0; i < aliases.length; i++) {
+          const alias = aliases[i];
+          const char = decodeAliases[alias];
+          if (!IsString(char)) {
+            throw new TypeError('`options.decodeAliases` value is not a string');
+          }
+          const charIndex = MapGet(alphabetLookup, char);
+          if (charIndex === undefined || alias.length !== 1 || alias === padding || MapHas(alphabetLookup, alias)) {
+            throw new RangeError('Invalid decode alias');
+          }
+          const charCode = StringCharCodeAt(alias);
+          if (charCode < 0x21 || charCode > 0x7e) {
+            throw new RangeError('Invalid decode alias');
+          }
+          MapSet(alphabetLookup, alias, charIndex);
+          MapSet(baseMapLookup, charCode, charIndex);
+        }
+      }
+    }
     DefineSlots(this, {
       [$Alphabet]: alphabet,
       [$AlphabetLookup]: alphabetLookup,
       [$BaseMap]: baseMap,
       [$BaseMapLookup]: baseMapLookup,
       [$Padding]: padding,
-      [$PaddingCharCode]: paddingCharCode
+      [$PaddingCharCode]: paddingCharCode,
+      [$MaxInputLength]: maxInputLength,
+      [$MaxDecodedLength]: maxDecodedLength,
+      [$Output]: output
     });
   }
 
@@ -590,7 +1901,8 @@ class Base64Encoding {
         withPadding = !!$withPadding;
       }
     }
-    return Encode(this, $string, withPadding);
+    const line = GetLineState(this, options);
+    return Encode(this, $string, withPadding, line);
   }
 
   encodeToBytes(string, options) {
@@ -601,39 +1913,24 @@ class Base64Encoding {
       RequireOptionsObject(options);
       withPadding = !!options.withPadding;
     }
-    return EncodeToBytes(this, $string, withPadding);
+    const line = GetLineState(this, options);
+    const output = GetOutput(this, options);
+    return EncodeToBytes(this, $string, withPadding, line, output);
   }
 
   decode(encodedString, options) {
     RequireThis(this);
     const $encodedString = ToString(encodedString);
-    let ignorePadding = !GetSlot(this, $Padding);
-    let allowConcatenation = false;
-    if (options !== undefined) {
-      RequireOptionsObject(options);
-      const $ignorePadding = options.ignorePadding;
-      if ($ignorePadding !== undefined) {
-        ignorePadding = !!$ignorePadding;
-      }
-      allowConcatenation = !!options.allowConcatenation;
-    }
-    return Decode(this, $encodedString, ignorePadding, allowConcatenation);
+    const state = GetDecoderState(this, options);
+    return Decode(this, $encodedString, state);
   }
 
   decodeToBytes(encodedString, options) {
     RequireThis(this);
     const $encodedString = ToString(encodedString);
-    let ignorePadding = !GetSlot(this, $Padding);
-    let allowConcatenation = false;
-    if (options !== undefined) {
-      RequireOptionsObject(options);
-      const $ignorePadding = options.ignorePadding;
-      if ($ignorePadding !== undefined) {
-        ignorePadding = !!$ignorePadding;
-      }
-      allowConcatenation = !!options.allowConcatenation;
-    }
-    return DecodeToBytes(this, $encodedString, ignorePadding, allowConcatenation);
+    const state = GetDecoderState(this, options);
+    const output = GetOutput(this, options);
+    return DecodeToBytes(this, $encodedString, state, output);
   }
 
   encodeBytes(buffer, options) {
@@ -644,7 +1941,9 @@ class Base64Encoding {
       RequireOptionsObject(options);
       withPadding = !!options.withPadding;
     }
-    return EncodeBytes(this, buffer, withPadding);
+    const line = GetLineState(this, options);
+    const output = GetOutput(this, options);
+    return EncodeBytes(this, buffer, withPadding, line, output);
   }
 
   encodeBytesToString(buffer, options) {
@@ -658,39 +1957,38 @@ class Base64Encoding {
         withPadding = !!$withPadding;
       }
     }
-    return EncodeBytesToString(this, buffer, withPadding);
+    const line = GetLineState(this, options);
+    return EncodeBytesToString(this, buffer, withPadding, line);
+  }
+
+  decodeSegments(encodedString, options) {
+    RequireThis(this);
+    const $encodedString = ToString(encodedString);
+    const state = GetDecoderState(this, options);
+    return DecodeSegments(this, $encodedString, $encodedString.length, state);
+  }
+
+  decodeBytesSegments(buffer, options) {
+    RequireThis(this);
+    RequireBuffer(buffer);
+    const state = GetDecoderState(this, options);
+    const source = ToUint8Array(buffer);
+    return DecodeSegments(this, source, TypedArrayLength(source), state);
   }
 
   decodeBytes(buffer, options) {
     RequireThis(this);
     RequireBuffer(buffer);
-    let ignorePadding = !GetSlot(this, $Padding);
-    let allowConcatenation = false;
-    if (options !== undefined) {
-      RequireOptionsObject(options);
-      const $ignorePadding = options.ignorePadding;
-      if ($ignorePadding !== undefined) {
-        ignorePadding = !!$ignorePadding;
-      }
-      allowConcatenation = !!options.allowConcatenation;
-    }
-    return DecodeBytes(this, buffer, ignorePadding, allowConcatenation);
+    const state = GetDecoderState(this, options);
+    const output = GetOutput(this, options);
+    return DecodeBytes(this, buffer, state, output);
   }
 
   decodeBytesToString(buffer, options) {
     RequireThis(this);
     RequireBuffer(buffer);
-    let ignorePadding = !GetSlot(this, $Padding);
-    let allowConcatenation = false;
-    if (options !== undefined) {
-      RequireOptionsObject(options);
-      const $ignorePadding = options.ignorePadding;
-      if ($ignorePadding !== undefined) {
-        ignorePadding = !!$ignorePadding;
-      }
-      allowConcatenation = !!options.allowConcatenation;
-    }
-    return DecodeBytesToString(this, buffer, ignorePadding, allowConcatenation);
+    const state = GetDecoderState(this, options);
+    return DecodeBytesToString(this, buffer, state);
   }
 
   encodeText(text, options) {
@@ -704,7 +2002,8 @@ class Base64Encoding {
         withPadding = !!$withPadding;
       }
     }
-    return EncodeText(this, $text, withPadding);
+    const line = GetLineState(this, options);
+    return EncodeText(this, $text, withPadding, line);
   }
 
   encodeTextToBytes(text, options) {
@@ -715,39 +2014,170 @@ class Base64Encoding {
       RequireOptionsObject(options);
       withPadding = !!options.withPadding;
     }
-    return EncodeTextToBytes(this, $text, withPadding);
+    const line = GetLineState(this, options);
+    const output = GetOutput(this, options);
+    return EncodeTextToBytes(this, $text, withPadding, line, output);
   }
 
   decodeText(encodedString, options) {
     RequireThis(this);
     const $encodedString = ToString(encodedString);
-    let ignorePadding = !GetSlot(this, $Padding);
-    let allowConcatenation = false;
+    const state = GetDecoderState(this, options);
+    return DecodeText(this, $encodedString, state);
+  }
+
+  decodeBytesToText(buffer, options) {
+    RequireThis(this);
+    RequireBuffer(buffer);
+    const state = GetDecoderState(this, options);
+    return DecodeBytesToText(this, buffer, state);
+  }
+
+  encodeInto(buffer, target, offset, options) {
+    RequireThis(this);
+    RequireBuffer(buffer);
+    RequireTarget(target);
+    const $offset = GetTargetOffset(target, offset);
+    let withPadding = !!GetSlot(this, $Padding);
     if (options !== undefined) {
       RequireOptionsObject(options);
-      const $ignorePadding = options.ignorePadding;
-      if ($ignorePadding !== undefined) {
-        ignorePadding = !!$ignorePadding;
+      const $withPadding = options.withPadding;
+      if ($withPadding !== undefined) {
+        withPadding = !!$withPadding;
       }
-      allowConcatenation = !!options.allowConcatenation;
     }
-    return DecodeText(this, $encodedString, ignorePadding, allowConcatenation);
+    return EncodeInto(this, buffer, target, $offset, withPadding);
   }
 
-  decodeBytesToText(buffer, options) {
+  decodeInto(input, target, offset, options) {
     RequireThis(this);
-    RequireBuffer(buffer);
-    let ignorePadding = !GetSlot(this, $Padding);
-    let allowConcatenation = false;
+    RequireTarget(target);
+    const $offset = GetTargetOffset(target, offset);
+    const state = GetDecoderState(this, options);
+    if (IsByteSource(input)) {
+      const source = ToUint8Array(input);
+      return DecodeInto(this, source, TypedArrayLength(source), target, $offset, state);
+    }
+    const $input = ToString(input);
+    return DecodeInto(this, $input, $input.length, target, $offset, state);
+  }
+
+  encodedLength(byteLength, options) {
+    RequireThis(this);
+    const $byteLength = ToIntegerOrInfinity(byteLength);
+    if ($byteLength < 0 || $byteLength === Infinity) {
+      throw new RangeError('`byteLength` out of range');
+    }
+    let withPadding = !!GetSlot(this, $Padding);
+    if (options !== undefined) {
+      RequireOptionsObject(options);
+      const $withPadding = options.withPadding;
+      if ($withPadding !== undefined) {
+        withPadding = !!$withPadding;
+      }
+    }
+    const line = GetLineState(this, options);
+    const encodedLength = GetEncodedLength($byteLength, withPadding);
+    return encodedLength + GetSeparatorCount(encodedLength, line) * line.lineSeparator.length;
+  }
+
+  decodedLength(input, options) {
+    RequireThis(this);
+    const state = GetDecoderState(this, options);
+    const result = IsByteSource(input) ?
+      Validate(this, ToUint8Array(input), state) :
+      Validate(this, ToString(input), state);
+    if (result.error) {
+      throw result.error;
+    }
+    return result.decodedLength;
+  }
+
+  normalize(input, options) {
+    RequireThis(this);
+    let from = this;
+    if (options !== undefined) {
+      RequireOptionsObject(options);
+      const $from = options.from;
+      if ($from !== undefined) {
+        from = $from;
+        if (!IsBase64Encoding(from)) {
+          throw new TypeError('`options.from` is not an instance of Base64Encoding');
+        }
+      }
+    }
+    const state = GetDecoderState(from, options);
+    state.ignoreWhitespace = true;
+    const bytes = IsByteSource(input) ?
+      DecodeBytes(from, input, state) :
+      DecodeToBytes(from, ToString(input), state);
+    const line = CreateLineState(Infinity, DEFAULT_LINE_SEPARATOR);
+    return EncodeBytesToString(this, bytes, !!GetSlot(this, $Padding), line);
+  }
+
+  equals(a, b, options) {
+    RequireThis(this);
+    let from;
+    if (options !== undefined) {
+      RequireOptionsObject(options);
+      from = options.from;
+      if (from !== undefined && !IsBase64Encoding(from)) {
+        throw new TypeError('`options.from` is not an instance of Base64Encoding');
+      }
+    }
+    const $a = IsByteSource(a) ? ToUint8Array(a) : ToString(a);
+    const $b = IsByteSource(b) ? ToUint8Array(b) : ToString(b);
+    const aLength = IsString($a) ? $a.length : TypedArrayLength($a);
+    const bLength = IsString($b) ? $b.length : TypedArrayLength($b);
+    const aTarget = GetOperandEncoding(this, from, $a, options);
+    const bTarget = GetOperandEncoding(this, from, $b, options);
+    const aState = GetDecoderState(aTarget, options);
+    const bState = GetDecoderState(bTarget, options);
+    return Equals(aTarget, $a, aLength, aState, bTarget, $b, bLength, bState);
+  }
+
+  fromHex(hexString, options) {
+    RequireThis(this);
+    const $hexString = ToString(hexString);
+    let withPadding = !!GetSlot(this, $Padding);
     if (options !== undefined) {
       RequireOptionsObject(options);
-      const $ignorePadding = options.ignorePadding;
-      if ($ignorePadding !== undefined) {
-        ignorePadding = !!$ignorePadding;
+      const $withPadding = options.withPadding;
+      if ($withPadding !== undefined) {
+        withPadding = !!$withPadding;
       }
-      allowConcatenation = !!options.allowConcatenation;
     }
-    return DecodeBytesToText(this, buffer, ignorePadding, allowConcatenation);
+    const line = GetLineState(this, options);
+    return FromHex(this, $hexString, withPadding, line);
+  }
+
+  toHex(input, options) {
+    RequireThis(this);
+    const state = GetDecoderState(this, options);
+    if (IsByteSource(input)) {
+      const source = ToUint8Array(input);
+      return ToHex(this, source, TypedArrayLength(source), state);
+    }
+    const $input = ToString(input);
+    return ToHex(this, $input, $input.length, state);
+  }
+
+  isValid(input, options) {
+    RequireThis(this);
+    const state = GetDecoderState(this, options);
+    if (IsByteSource(input)) {
+      return Validate(this, ToUint8Array(input), state).valid;
+    }
+    return Validate(this, ToString(input), state).valid;
+  }
+
+  validate(input, options) {
+    RequireThis(this);
+    const state = GetDecoderState(this, options);
+    if (IsByteSource(input)) {
+      return Validate(this, ToUint8Array(input), state);
+    }
+    return Validate(this, ToString(input), state);
   }
 
   encodeInt(integer) {
@@ -762,10 +2192,72 @@ class Base64Encoding {
     return EncodeInt(this, $integer);
   }
 
-  decodeInt(encodedInteger) {
+  decodeInt(encodedInteger, options) {
     RequireThis(this);
     const $encodedInteger = ToString(encodedInteger);
-    return DecodeInt(this, $encodedInteger);
+    let strict = false;
+    if (options !== undefined) {
+      RequireOptionsObject(options);
+      strict = !!options.strict;
+    }
+    return DecodeInt(this, $encodedInteger, strict);
+  }
+
+  createEncoder(options) {
+    RequireThis(this);
+    return new Base64Encoder(this, options);
+  }
+
+  createDecoder(options) {
+    RequireThis(this);
+    return new Base64Decoder(this, options);
+  }
+
+  async encodeBlob(blob, options) {
+    RequireThis(this);
+    RequireBlob(blob);
+    const signal = GetAbortSignal(options);
+    const encoder = new Base64Encoder(this, options);
+    const state = GetSlot(encoder, $EncoderState);
+    return EncodeBlob(this, state, blob, signal);
+  }
+
+  async decodeToBlob(input, options) {
+    RequireThis(this);
+    if (typeof Blob !== 'function') {
+      throw new TypeError('Blob is not supported');
+    }
+    const state = GetDecoderState(this, options);
+    const signal = GetAbortSignal(options);
+    let type = '';
+    if (options !== undefined) {
+      const $type = options.type;
+      if ($type !== undefined) {
+        type = ToString($type);
+      }
+    }
+    if (IsBlob(input)) {
+      return DecodeToBlob(this, state, input, type, signal);
+    }
+    if (IsByteSource(input)) {
+      const source = ToUint8Array(input);
+      return DecodeToBlob(this, state, source, type, signal);
+    }
+    return DecodeToBlob(this, state, ToString(input), type, signal);
+  }
+
+  encodeAsyncIterable(iterable, options) {
+    RequireThis(this);
+    const encoder = new Base64Encoder(this, options);
+    const state = GetSlot(encoder, $EncoderState);
+    return EncodeAsyncIterable(this, state, iterable);
+  }
+
+  decodeAsyncIterable(iterable, options) {
+    RequireThis(this);
+    const decoder = new Base64Decoder(this, options);
+    const state = GetSlot(decoder, $DecoderState);
+    return DecodeAsyncIterable(this, state, iterable);
   }
 }
 exports.Base64Encoding = Base64Encoding;
@@ -808,7 +2300,7 @@ if (BigInt) {
   const DecodeBigInt = (target, encodedInteger) => {
     const length = encodedInteger.length;
     if (!length) {
-      throw new RangeError('Invalid Base64 encoded integer');
+      throw new Base64DecodeError('Invalid Base64 encoded integer', 'empty-input', 0);
     }
     const alphabet = GetSlot(target, $Alphabet);
     const alphabetLookup = GetSlot(target, $AlphabetLookup);
@@ -822,7 +2314,8 @@ if (BigInt) {
       const char = encodedInteger[i];
       const charIndex = MapGet(alphabetLookup, char);
       if (charIndex === undefined) {
-        throw new RangeError('Invalid Base64 encoded integer');
+        const charCode = StringCharCodeAt(encodedInteger, i);
+        throw new Base64DecodeError('Invalid Base64 encoded integer', 'invalid-character', i, charCode);
       }
       result = result * BIGINT_BASE + BigInt(charIndex);
     }
@@ -850,6 +2343,172 @@ if (BigInt) {
   });
 }
 
+class Base64Encoder {
+  constructor(encoding, options) {
+    RequireEncoding(encoding);
+    let withPadding = !!GetSlot(encoding, $Padding);
+    let toBytes = false;
+    if (options !== undefined) {
+      RequireOptionsObject(options);
+      const $withPadding = options.withPadding;
+      if ($withPadding !== undefined) {
+        withPadding = !!$withPadding;
+      }
+      toBytes = !!options.toBytes;
+    }
+    const line = GetLineState(encoding, options);
+    DefineSlots(this, {
+      [$Encoding]: encoding,
+      [$EncoderState]: CreateEncoderState(withPadding, toBytes, line)
+    });
+  }
+
+  get encoding() {
+    RequireThisEncoder(this);
+    return GetSlot(this, $Encoding);
+  }
+
+  update(buffer) {
+    RequireThisEncoder(this);
+    RequireBuffer(buffer);
+    const encoding = GetSlot(this, $Encoding);
+    const state = GetSlot(this, $EncoderState);
+    return EncoderUpdate(encoding, state, buffer);
+  }
+
+  final() {
+    RequireThisEncoder(this);
+    const encoding = GetSlot(this, $Encoding);
+    const state = GetSlot(this, $EncoderState);
+    return EncoderFinal(encoding, state);
+  }
+}
+exports.Base64Encoder = Base64Encoder;
+
+ReflectDefineProperty(Base64Encoder, SymbolHasInstance, {
+  value: IsBase64Encoder
+});
+
+ReflectDefineProperty(Base64Encoder.prototype, SymbolToStringTag, {
+  value: 'Base64Encoder'
+});
+
+class Base64Decoder {
+  constructor(encoding, options) {
+    RequireEncoding(encoding);
+    const state = GetDecoderState(encoding, options);
+    DefineSlots(this, {
+      [$Encoding]: encoding,
+      [$DecoderState]: state
+    });
+  }
+
+  get encoding() {
+    RequireThisDecoder(this);
+    return GetSlot(this, $Encoding);
+  }
+
+  update(chunk) {
+    RequireThisDecoder(this);
+    const encoding = GetSlot(this, $Encoding);
+    const state = GetSlot(this, $DecoderState);
+    return DecoderUpdate(encoding, state, chunk);
+  }
+
+  final() {
+    RequireThisDecoder(this);
+    const state = GetSlot(this, $DecoderState);
+    return DecoderFinal(state);
+  }
+}
+exports.Base64Decoder = Base64Decoder;
+
+ReflectDefineProperty(Base64Decoder, SymbolHasInstance, {
+  value: IsBase64Decoder
+});
+
+ReflectDefineProperty(Base64Decoder.prototype, SymbolToStringTag, {
+  value: 'Base64Decoder'
+});
+
+class Base64EncoderStream {
+  constructor(encoding, options) {
+    RequireEncoding(encoding);
+    const encoder = new Base64Encoder(encoding, options);
+    const transform = CreateTransformStream(
+      chunk => encoder.update(chunk),
+      () => encoder.final()
+    );
+    DefineSlots(this, {
+      [$Encoder]: encoder,
+      [$Transform]: transform
+    });
+  }
+
+  get encoding() {
+    RequireThisEncoderStream(this);
+    return GetSlot(this, $Encoder).encoding;
+  }
+
+  get readable() {
+    RequireThisEncoderStream(this);
+    return GetSlot(this, $Transform).readable;
+  }
+
+  get writable() {
+    RequireThisEncoderStream(this);
+    return GetSlot(this, $Transform).writable;
+  }
+}
+exports.Base64EncoderStream = Base64EncoderStream;
+
+ReflectDefineProperty(Base64EncoderStream, SymbolHasInstance, {
+  value: IsBase64EncoderStream
+});
+
+ReflectDefineProperty(Base64EncoderStream.prototype, SymbolToStringTag, {
+  value: 'Base64EncoderStream'
+});
+
+class Base64DecoderStream {
+  constructor(encoding, options) {
+    RequireEncoding(encoding);
+    const decoder = new Base64Decoder(encoding, options);
+    const transform = CreateTransformStream(
+      chunk => decoder.update(chunk),
+      () => decoder.final()
+    );
+    DefineSlots(this, {
+      [$Decoder]: decoder,
+      [$Transform]: transform
+    });
+  }
+
+  get encoding() {
+    RequireThisDecoderStream(this);
+    return GetSlot(this, $Decoder).encoding;
+  }
+
+  get readable() {
+    RequireThisDecoderStream(this);
+    return GetSlot(this, $Transform).readable;
+  }
+
+  get writable() {
+    RequireThisDecoderStream(this);
+    return GetSlot(this, $Transform).writable;
+  }
+}
+exports.Base64DecoderStream = Base64DecoderStream;
+
+ReflectDefineProperty(Base64DecoderStream, SymbolHasInstance, {
+  value: IsBase64DecoderStream
+});
+
+ReflectDefineProperty(Base64DecoderStream.prototype, SymbolToStringTag, {
+  value: 'Base64DecoderStream'
+});
+
 const BASIC = new Base64Encoding('ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/');
 exports.BASIC = BASIC;
 const URL = new Base64Encoding('ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_', {
@@ -865,3 +2524,40 @@ ObjectDefineProperties(Base64Encoding, {
     value: URL
   }
 });
+
+RegisterVariant('base64', BASIC);
+RegisterVariant('base64url', URL);
+RegisterVariant('base64url-padded', new Base64Encoding(
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_'
+));
+RegisterVariant('radix-64', BASIC);
+RegisterVariant('bcrypt', new Base64Encoding(
+  './ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789',
+  {
+    padding: ''
+  }
+));
+RegisterVariant('crypt', new Base64Encoding(
+  './0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz',
+  {
+    padding: ''
+  }
+));
+RegisterVariant('imap', new Base64Encoding(
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+,',
+  {
+    padding: ''
+  }
+));
+RegisterVariant('xml-nmtoken', new Base64Encoding(
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789.-',
+  {
+    padding: ''
+  }
+));
+RegisterVariant('xml-id', new Base64Encoding(
+  'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789_:',
+  {
+    padding: ''
+  }
+));
@@ -0,0 +1,325 @@
+import {
+  MathCeil,
+  ReflectDefineProperty,
+  StringCharCodeAt,
+  StringSlice,
+  SyntaxError,
+  TypeError,
+  TypedArrayBuffer,
+  TypedArrayLength,
+  TypedArraySlice,
+  Uint8Array
+} from '@dwlib/primordials';
+import IsObject from '@dwlib/abstract/IsObject';
+import IsString from '@dwlib/abstract/IsString';
+import IsUint8Array from '@dwlib/abstract/IsUint8Array';
+import {
+  Base64Encoding,
+  BASIC
+} from './index.mjs';
+
+const PADDING_CHAR_CODE = 0x3d;
+
+const HEX_DIGITS = '0123456789abcdef';
+
+const URL_PADDED = Base64Encoding.for('base64url-padded');
+
+const LOOSE_OPTIONS = {
+  ignoreWhitespace: true,
+  padding: 'optional'
+};
+
+const STRICT_OPTIONS = {
+  ignoreWhitespace: true,
+  padding: 'required',
+  strict: true
+};
+
+const PARTIAL_CHUNK_OPTIONS = {
+  ignoreWhitespace: true,
+  padding: 'required'
+};
+
+const IsDetached = array => {
+  if (TypedArrayLength(array)) {
+    return false;
+  }
+  try {
+    new Uint8Array(TypedArrayBuffer(array), 0, 0);
+  } catch (e) {
+    return true;
+  }
+  return false;
+}
+
+const RequireUint8Array = argument => {
+  if (!IsUint8Array(argument)) {
+    throw new TypeError('`this` is not an instance of Uint8Array');
+  }
+}
+
+const RequireAttached = argument => {
+  if (IsDetached(argument)) {
+    throw new TypeError('Cannot perform operation on a detached ArrayBuffer');
+  }
+}
+
+const RequireString = argument => {
+  if (!IsString(argument)) {
+    throw new TypeError('`string` is not a string');
+  }
+}
+
+const GetAlphabetOption = options => {
+  if (options === undefined) {
+    return 'base64';
+  }
+  if (!IsObject(options)) {
+    throw new TypeError('`options` is not an object');
+  }
+  const alphabet = options.alphabet;
+  if (alphabet === undefined) {
+    return 'base64';
+  }
+  if (alphabet !== 'base64' && alphabet !== 'base64url') {
+    throw new TypeError('`options.alphabet` must be "base64" or "base64url"');
+  }
+  return alphabet;
+}
+
+const GetLastChunkHandlingOption = options => {
+  if (options === undefined) {
+    return 'loose';
+  }
+  const lastChunkHandling = options.lastChunkHandling;
+  if (lastChunkHandling === undefined) {
+    return 'loose';
+  }
+  if (
+    lastChunkHandling !== 'loose' &&
+    lastChunkHandling !== 'strict' &&
+    lastChunkHandling !== 'stop-before-partial'
+  ) {
+    throw new TypeError('`options.lastChunkHandling` must be "loose", "strict" or "stop-before-partial"');
+  }
+  return lastChunkHandling;
+}
+
+const GetEncoding = alphabet => alphabet === 'base64url' ? URL_PADDED : BASIC;
+
+const IsBase64CharCode = charCode => charCode > 0x20 && charCode !== PADDING_CHAR_CODE;
+
+const GetChunkEnd = (string, charCount) => {
+  let count = 0;
+  let position = 0;
+  while (count < charCount) {
+    if (IsBase64CharCode(StringCharCodeAt(string, position++))) {
+      count++;
+    }
+  }
+  return position;
+}
+
+const GetStopPosition = (string, end, maxLength) => {
+  const remaining = maxLength % 3;
+  const chunkCharCount = (maxLength - remaining) / 3 * 4;
+  const stopCharCount = remaining ? chunkCharCount + remaining + 2 : chunkCharCount;
+  if (stopCharCount > end) {
+    return -1;
+  }
+  let count = 0;
+  for (let position = 0; count < stopCharCount; position++) {
+    if (position === end) {
+      return -1;
+    }
+    const charCode = StringCharCodeAt(string, position);
+    if (charCode === PADDING_CHAR_CODE) {
+      return -1;
+    }
+    if (IsBase64CharCode(charCode)) {
+      count++;
+    }
+  }
+  return GetChunkEnd(string, chunkCharCount);
+}
+
+const DecodeChunks = (encoding, string, result, charCount) => {
+  encoding.decodeInto(StringSlice(string, 0, GetChunkEnd(string, charCount)), result, 0, LOOSE_OPTIONS);
+}
+
+const FromBase64 = (string, alphabet, lastChunkHandling, result) => {
+  const encoding = GetEncoding(alphabet);
+  const length = string.length;
+  const maxLength = TypedArrayLength(result);
+  const strict = lastChunkHandling === 'strict';
+  const { error, decodedLength, padding } = encoding.validate(string, strict ? STRICT_OPTIONS : PARTIAL_CHUNK_OPTIONS);
+  const chunksLength = decodedLength - decodedLength % 3;
+  let errorIndex = -1;
+  let partial = false;
+  if (error !== undefined) {
+    if (!strict && error.reason === 'invalid-padding' && error.index === length) {
+      if (lastChunkHandling === 'stop-before-partial') {
+        partial = true;
+      } else if (padding || decodedLength === chunksLength) {
+        errorIndex = length;
+      }
+    } else {
+      errorIndex = error.reason === 'non-canonical' ? error.index + 1 : error.index;
+    }
+  }
+  const stopPosition = GetStopPosition(string, errorIndex !== -1 ? errorIndex : length, maxLength);
+  if (stopPosition !== -1) {
+    const written = maxLength - maxLength % 3;
+    DecodeChunks(encoding, string, result, written / 3 * 4);
+    return {
+      read: stopPosition,
+      written
+    };
+  }
+  if (errorIndex !== -1) {
+    DecodeChunks(encoding, string, result, chunksLength / 3 * 4);
+    throw new SyntaxError('Invalid Base64 encoding');
+  }
+  if (partial) {
+    DecodeChunks(encoding, string, result, chunksLength / 3 * 4);
+    return {
+      read: GetChunkEnd(string, chunksLength / 3 * 4),
+      written: chunksLength
+    };
+  }
+  encoding.decodeInto(string, result, 0, strict ? STRICT_OPTIONS : LOOSE_OPTIONS);
+  return {
+    read: length,
+    written: decodedLength
+  };
+}
+
+const GetHexValue = charCode => {
+  if (charCode >= 0x30 && charCode <= 0x39) {
+    return charCode - 0x30;
+  }
+  const lowerCharCode = charCode | 0x20;
+  if (lowerCharCode >= 0x61 && lowerCharCode <= 0x66) {
+    return lowerCharCode - 0x57;
+  }
+  return -1;
+}
+
+const FromHex = (string, result, maxLength) => {
+  const length = string.length;
+  if (length % 2) {
+    throw new SyntaxError('Invalid hexadecimal encoding');
+  }
+  let read = 0;
+  let written = 0;
+  while (read < length && written < maxLength) {
+    const high = GetHexValue(StringCharCodeAt(string, read));
+    const low = GetHexValue(StringCharCodeAt(string, read + 1));
+    if (high < 0 || low < 0) {
+      throw new SyntaxError('Invalid hexadecimal encoding');
+    }
+    read += 2;
+    result[written++] = (high << 4) | low;
+  }
+  return {
+    read,
+    written
+  };
+}
+
+export const fromBase64 = (string, options) => {
+  RequireString(string);
+  const alphabet = GetAlphabetOption(options);
+  const lastChunkHandling = GetLastChunkHandlingOption(options);
+  const capacity = MathCeil(string.length * 3 / 4);
+  const result = new Uint8Array(capacity);
+  const { written } = FromBase64(string, alphabet, lastChunkHandling, result);
+  return capacity !== written ? TypedArraySlice(result, 0, written) : result;
+}
+
+export const fromHex = string => {
+  RequireString(string);
+  const capacity = string.length >> 1;
+  const result = new Uint8Array(capacity);
+  FromHex(string, result, capacity);
+  return result;
+}
+
+export const setFromBase64 = (array, string, options) => {
+  RequireUint8Array(array);
+  RequireString(string);
+  const alphabet = GetAlphabetOption(options);
+  const lastChunkHandling = GetLastChunkHandlingOption(options);
+  RequireAttached(array);
+  return FromBase64(string, alphabet, lastChunkHandling, array);
+}
+
+export const setFromHex = (array, string) => {
+  RequireUint8Array(array);
+  RequireString(string);
+  RequireAttached(array);
+  return FromHex(string, array, TypedArrayLength(array));
+}
+
+export const toBase64 = (array, options) => {
+  RequireUint8Array(array);
+  const alphabet = GetAlphabetOption(options);
+  const omitPadding = options !== undefined && !!options.omitPadding;
+  RequireAttached(array);
+  return GetEncoding(alphabet).encodeBytesToString(array, {
+    withPadding: !omitPadding
+  });
+}
+
+export const toHex = array => {
+  RequireUint8Array(array);
+  RequireAttached(array);
+  const length = TypedArrayLength(array);
+  let result = '';
+  for (let i = 0; i < length; i++) {
+    const byte = array[i];
+    result += HEX_DIGITS[byte >> 4] + HEX_DIGITS[byte & 0xf];
+  }
+  return result;
+}
+
+const Uint8ArrayMethods = {
+  fromBase64(string, options = undefined) {
+    return fromBase64(string, options);
+  },
+  fromHex(string) {
+    return fromHex(string);
+  }
+};
+
+const Uint8ArrayPrototypeMethods = {
+  setFromBase64(string, options = undefined) {
+    return setFromBase64(this, string, options);
+  },
+  setFromHex(string) {
+    return setFromHex(this, string);
+  },
+  toBase64(options = undefined) {
+    return toBase64(this, options);
+  },
+  toHex() {
+    return toHex(this);
+  }
+};
+
+const DefineMissingMethods = (target, methods) => {
+  for (const name in methods) {
+    if (!(name in target)) {
+      ReflectDefineProperty(target, name, {
+        value: methods[name],
+        writable: true,
+        configurable: true
+      });
+    }
+  }
+}
+
+export const install = () => {
+  DefineMissingMethods(Uint8Array, Uint8ArrayMethods);
+  DefineMissingMethods(Uint8Array.prototype, Uint8ArrayPrototypeMethods);
+}
@@ -0,0 +1,50 @@
+'use strict';
+
+const {
+  Transform
+} = require('stream');
+const {
+  Base64Encoder,
+  Base64Decoder
+} = require('./index.js');
+
+const CreateTransform = (update, final) => new Transform({
+  transform(chunk, encoding, callback) {
+    let result;
+    try {
+      result = update(chunk);
+    } catch (e) {
+      callback(e);
+      return;
+    }
+    callback(null, result.length ? result : undefined);
+  },
+  flush(callback) {
+    let result;
+    try {
+      result = final();
+    } catch (e) {
+      callback(e);
+      return;
+    }
+    callback(null, result.length ? result : undefined);
+  }
+});
+
+const createEncoderTransform = (encoding, options) => {
+  const encoder = new Base64Encoder(encoding, options);
+  return CreateTransform(
+    chunk => encoder.update(chunk),
+    () => encoder.final()
+  );
+}
+exports.createEncoderTransform = createEncoderTransform;
+
+const createDecoderTransform = (encoding, options) => {
+  const decoder = new Base64Decoder(encoding, options);
+  return CreateTransform(
+    chunk => decoder.update(chunk),
+    () => decoder.final()
+  );
+}
+exports.createDecoderTransform = createDecoderTransform;
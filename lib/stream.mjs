@@ -0,0 +1,46 @@
+import {
+  Transform
+} from 'stream';
+import {
+  Base64Encoder,
+  Base64Decoder
+} from './index.mjs';
+
+const CreateTransform = (update, final) => new Transform({
+  transform(chunk, encoding, callback) {
+    let result;
+    try {
+      result = update(chunk);
+    } catch (e) {
+      callback(e);
+      return;
+    }
+    callback(null, result.length ? result : undefined);
+  },
+  flush(callback) {
+    let result;
+    try {
+      result = final();
+    } catch (e) {
+      callback(e);
+      return;
+    }
+    callback(null, result.length ? result : undefined);
+  }
+});
+
+export const createEncoderTransform = (encoding, options) => {
+  const encoder = new Base64Encoder(encoding, options);
+  return CreateTransform(
+    chunk => encoder.update(chunk),
+    () => encoder.final()
+  );
+}
+
+export const createDecoderTransform = (encoding, options) => {
+  const decoder = new Base64Decoder(encoding, options);
+  return CreateTransform(
+    chunk => decoder.update(chunk),
+    () => decoder.final()
+  );
+}